@@ -1,5 +1,8 @@
 "use strict";
 
+import tinycolor from "./color.js";
+import { applyColorLevel, paletteSequence, rgbSequence } from "./colorLevel.js";
+
 /**
  * Takes any input and guarantees an array back.
  *
@@ -70,15 +73,43 @@ const ansi = {};
 
 /**
  * Various formatting styles (aka Select Graphic Rendition codes).
+ *
+ * Each attribute has its own "off" code (`boldOff`, `italicOff`...), which turns it off without resetting the others;
+ * `boldOff` and `dimOff` are the same code and turn both off. Curly, dotted and dashed underlines are not shown
+ * by every terminal, which then draw a plain underline or none.
  * @enum {string}
  * @example
  * console.log(ansi.style.red + 'this is red' + ansi.style.reset)
+ * console.log(ansi.style.curlyUnderline + 'typo' + ansi.style.underlineOff)
  */
 ansi.style = {
   reset: "\x1b[0m",
   bold: "\x1b[1m",
+  dim: "\x1b[2m",
+  faint: "\x1b[2m",
   italic: "\x1b[3m",
   underline: "\x1b[4m",
+  doubleUnderline: "\x1b[21m",
+  curlyUnderline: "\x1b[4:3m",
+  dottedUnderline: "\x1b[4:4m",
+  dashedUnderline: "\x1b[4:5m",
+  blink: "\x1b[5m",
+  rapidBlink: "\x1b[6m",
+  inverse: "\x1b[7m",
+  hidden: "\x1b[8m",
+  strikethrough: "\x1b[9m",
+  overline: "\x1b[53m",
+  boldOff: "\x1b[22m",
+  dimOff: "\x1b[22m",
+  italicOff: "\x1b[23m",
+  underlineOff: "\x1b[24m",
+  blinkOff: "\x1b[25m",
+  inverseOff: "\x1b[27m",
+  hiddenOff: "\x1b[28m",
+  strikethroughOff: "\x1b[29m",
+  overlineOff: "\x1b[55m",
+  defaultColor: "\x1b[39m",
+  defaultUnderlineColor: "\x1b[59m",
   fontDefault: "\x1b[10m",
   font2: "\x1b[11m",
   font3: "\x1b[12m",
@@ -121,10 +152,13 @@ ansi.style = {
   "bg-brightMagenta": "\x1b[105m",
   "bg-brightCyan": "\x1b[106m",
   "bg-brightWhite": "\x1b[107m",
+  "bg-default": "\x1b[49m",
 };
 
 /**
  * Returns a 24-bit "true colour" foreground colour escape sequence.
+ * On terminals with fewer colours the nearest 256 or 16 colour is used, and nothing when colours are off
+ * (see getColorLevel in capabilities.js).
  * @param {number} r - Red value.
  * @param {number} g - Green value.
  * @param {number} b - Blue value.
@@ -134,11 +168,12 @@ ansi.style = {
  * '\u001b[38;2;120;0;120m'
  */
 ansi.rgb = function(r, g, b) {
-  return `\x1b[38;2;${r};${g};${b}m`;
+  return rgbSequence([r, g, b].map(Number));
 };
 
 /**
- * Returns a 24-bit "true colour" background colour escape sequence.
+ * Returns a 24-bit "true colour" background colour escape sequence, or the nearest colour the terminal shows
+ * (see ansi.rgb).
  * @param {number} r - Red value.
  * @param {number} g - Green value.
  * @param {number} b - Blue value.
@@ -148,7 +183,32 @@ ansi.rgb = function(r, g, b) {
  * '\u001b[48;2;120;0;120m'
  */
 ansi.bgRgb = function(r, g, b) {
-  return `\x1b[48;2;${r};${g};${b}m`;
+  return rgbSequence([r, g, b].map(Number), { background: true });
+};
+
+/**
+ * Returns a foreground colour escape sequence for a colour of the xterm 256-colour palette
+ * (16 to 231 are a 6x6x6 cube, 232 to 255 are greys), or the nearest colour the terminal shows (see ansi.rgb).
+ * @param {number} index - 0 to 255.
+ * @returns {string}
+ * @example
+ * > ansi.color256(208)
+ * '\u001b[38;5;208m'
+ */
+ansi.color256 = function(index) {
+  return paletteSequence(index);
+};
+
+/**
+ * Returns a background colour escape sequence for a colour of the xterm 256-colour palette (see ansi.color256).
+ * @param {number} index - 0 to 255.
+ * @returns {string}
+ * @example
+ * > ansi.bgColor256(17)
+ * '\u001b[48;5;17m'
+ */
+ansi.bgColor256 = function(index) {
+  return paletteSequence(index, { background: true });
 };
 
 /**
@@ -202,11 +262,21 @@ ansi.bgHex = function(hex) {
 /**
  * Returns an ANSI sequence setting one or more styles, including:
  * - Named styles like "green", "underline"
+ * - xterm-256 colors like "color(208)" or "bg-color(17)"
  * - RGB colors like "rgb(255,0,0)" or "bg-rgb(0,0,255)"
- * - Hex colors like "#ff00ff" or "bg-#00ffcc"
+ * - Hex colors like "#f0f", "#ff00ff" or "bg-#00ffcc80" (the alpha of 4 and 8-digit hex colors is ignored)
+ * - HSL and HSV colors like "hsl(270, 50%, 40%)" or "bg-hsv(0, 100%, 100%)"
+ * - CSS color names like "rebeccapurple" or "bg-navy" ("transparent" is not a color here)
+ * - Underline colors, with "ul-" in front of any of these colors but the named styles, e.g. "ul-color(208)"
+ *   or "ul-red" (the CSS red)
+ *
+ * Colors other than the named styles are read with tinycolor (see color.js), and follow the color level
+ * of the terminal (see getColorLevel in capabilities.js).
  *
  * @param {string | string[]} styles - One or more style strings.
  * @returns {string} The ANSI escape sequence for the given styles.
+ * @throws {TypeError} When a style is neither a named style nor a color.
+ * @throws {RangeError} When a palette index is not between 0 and 255.
  *
  * @example
  * ansi.styles('green')
@@ -220,29 +290,44 @@ ansi.bgHex = function(hex) {
  *
  * ansi.styles(['#ff00ff', 'bg-#0033aa'])
  * // => '\u001b[38;2;255;0;255m\u001b[48;2;0;51;170m'
+ *
+ * ansi.styles(['color(208)', 'bg-rebeccapurple'])
+ * // => '\u001b[38;5;208m\u001b[48;2;102;51;153m'
+ *
+ * ansi.styles(['curlyUnderline', 'ul-#ff0000'])
+ * // => '\u001b[4:3m\u001b[58;2;255;0;0m'
  */
 ansi.styles = function(styles) {
   styles = arrayify(styles);
   return styles
     .map(function(effect) {
-      const rgbMatches = effect.match(/^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/);
-      const bgRgbMatches = effect.match(/^bg-rgb\((\d+),\s*(\d+),\s*(\d+)\)$/);
-      const hexMatch = effect.match(/^#([0-9a-fA-F]{6})$/);
-      const bgHexMatch = effect.match(/^bg-#([0-9a-fA-F]{6})$/);
-
-      if (bgRgbMatches) {
-        const [, r, g, b] = bgRgbMatches;
-        return ansi.bgRgb(r, g, b);
-      } else if (rgbMatches) {
-        const [, r, g, b] = rgbMatches;
-        return ansi.rgb(r, g, b);
-      } else if (bgHexMatch) {
-        return ansi.bgHex(`#${bgHexMatch[1]}`);
-      } else if (hexMatch) {
-        return ansi.hex(`#${hexMatch[1]}`);
-      } else {
-        return ansi.style[effect];
+      if (Object.hasOwn(ansi.style, effect)) return applyColorLevel(ansi.style[effect]);
+
+      const prefix = effect.slice(0, 3);
+      const target = { background: prefix === "bg-", underline: prefix === "ul-" };
+      const color = target.background || target.underline ? effect.slice(3) : effect;
+      const paletteMatch = color.match(/^color\((\d+)\)$/);
+      if (paletteMatch) {
+        const index = Number(paletteMatch[1]);
+        if (index > 255) {
+          throw new RangeError(`Invalid style "${effect}": palette colors go from 0 to 255`);
+        }
+        return paletteSequence(index, target);
       }
+
+      // tinycolor also reads hex without "#", which would turn words like "bad" or "face" into colors, and
+      // "transparent", which has no terminal color
+      const parsed = tinycolor(color);
+      const format = parsed.getFormat();
+      const isBareHex = format?.startsWith("hex") && !color.trim().startsWith("#");
+      if (!parsed.isValid() || isBareHex || (format === "name" && parsed.getAlpha() === 0)) {
+        throw new TypeError(
+          `Unknown style "${effect}": expected a name from ansi.style, color(n), a #hex, rgb(), hsl() or hsv() color, ` +
+            "or a CSS color name",
+        );
+      }
+      const { r, g, b } = parsed.toRgb();
+      return rgbSequence([r, g, b], target);
     })
     .join("");
 };
@@ -254,8 +339,10 @@ ansi.styles = function(styles) {
  *
  * 24-bit "true colour" values can be set using `rgb(n,n,n)` syntax (no spaces), for example `[rgb(255,128,0) underline]{orange underlined}`. Background 24-bit colours can be set using `bg-rgb(n,n,n)` syntax.
  *
+ * Any colour taken by {@link ansi.styles} can be used the same way, without spaces, e.g. `[color(208) bg-#1e1e2e]{...}` or `[hsl(270,50%,40%)]{...}`.
+ *
  * @param {string} - The string to format. Can also include inline-formatting using the syntax `[style-list]{text to format}` anywhere within the string.
- * @param [styleArray] {string|string[]} - One or more style strings to apply to the input string. Valid strings are any property from the [`ansi.style`](https://github.com/75lb/ansi-escape-sequences#ansistyle--enum) object (e.g. `red` or `bg-red`), `rgb(n,n,n)` or `bg-rgb(n,n,n)`.
+ * @param [styleArray] {string|string[]} - One or more style strings to apply to the input string. Valid strings are any property from the [`ansi.style`](https://github.com/75lb/ansi-escape-sequences#ansistyle--enum) object (e.g. `red` or `bg-red`), `rgb(n,n,n)` or `bg-rgb(n,n,n)`, or any other colour taken by `ansi.styles`.
  * @returns {string}
  * @example
  * > ansi.format('what?', 'green')
@@ -274,13 +361,13 @@ ansi.styles = function(styles) {
  * 'Inline styling: \u001b[48;2;255;128;0m\u001b[1msomething\u001b[0m'
  */
 ansi.format = function(str, styleArray) {
-  const re = /\[([\w\s-\(\),]+)\]{([^]*?)}/;
+  const re = /\[([\w\s\-(),#%.]+)\]{([^]*?)}/;
   let matches;
   str = String(str);
   if (!str) return "";
 
   while (matches = str.match(re)) {
-    const inlineStyles = matches[1].split(/\s+/);
+    const inlineStyles = matches[1].split(/\s+/).filter(Boolean);
     const inlineString = matches[2];
     str = str.replace(matches[0], ansi.format(inlineString, inlineStyles));
   }
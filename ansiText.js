@@ -0,0 +1,390 @@
+import { applySgr, defaultStyle, isSameStyle, sgrTransition } from "./sgr.js";
+import { graphemes, graphemeWidth } from "./unicode.js";
+
+/**
+ * @typedef {import("./sgr.js").CellStyle} CellStyle
+ */
+
+/**
+ * @typedef {Object} AnsiToken
+ * @property {"text"|"sgr"|"link"|"escape"} type - "text" for plain text (control characters like "\n" included),
+ * "sgr" for `CSI ... m`, "link" for OSC 8 hyperlinks and "escape" for any other escape sequence.
+ * @property {string} text - The source of the token.
+ * @property {string} [parameters] - For "sgr": the parameters, e.g. "1;31".
+ * @property {string|null} [url] - For "link": the target, null for the sequence that ends a link.
+ */
+
+/**
+ * @typedef {Object} Span
+ * @property {string} text
+ * @property {CellStyle} style
+ * @property {string|null} link - The target of the OSC 8 hyperlink the text belongs to.
+ */
+
+/**
+ * @typedef {Object} TextCell
+ * @property {string} text - A grapheme cluster, or a space of an expanded tab.
+ * @property {number} width - Columns taken by the text.
+ * @property {CellStyle} style
+ * @property {string|null} link
+ */
+
+/**
+ * Used for {truncateAnsi}
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const TruncatePosition = {
+  START: "start",
+  MIDDLE: "middle",
+  END: "end",
+};
+
+const OSC = "\x1b]";
+const BEL = "\x07";
+
+/* CSI (7-bit or 8-bit), OSC, DCS/APC/PM/SOS strings and other escape sequences */
+const escapePattern =
+  /(?:\x1b\[|\x9b)([\x30-\x3f]*)([\x20-\x2f]*)([\x40-\x7e])|\x1b\]([^]*?)(?:\x07|\x1b\\|\x9c)|\x1b[P_^X][^]*?(?:\x07|\x1b\\|\x9c)|\x1b[\x20-\x2f]*[\x30-\x7e]/y;
+const textPattern = /[^\x1b\x9b]+/y;
+
+/**
+ * Splits a string into text and escape sequences.
+ * An escape character that doesn't start a complete sequence becomes an "escape" token of its own.
+ *
+ * @param {string} text
+ * @returns {AnsiToken[]}
+ *
+ * @example
+ * tokenizeAnsi("\x1b[1mbold\x1b[0m")
+ * // => [{ type: "sgr", text: "\x1b[1m", parameters: "1" }, { type: "text", text: "bold" }, { type: "sgr", ... }]
+ */
+export const tokenizeAnsi = (text) => {
+  /** @type {AnsiToken[]} */
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    textPattern.lastIndex = index;
+    const plain = textPattern.exec(text);
+    if (plain) {
+      tokens.push({ type: "text", text: plain[0] });
+      index += plain[0].length;
+      continue;
+    }
+
+    escapePattern.lastIndex = index;
+    const match = escapePattern.exec(text);
+    if (!match) {
+      tokens.push({ type: "escape", text: text[index] });
+      index++;
+      continue;
+    }
+    const [source, parameters, intermediates, final, oscBody] = match;
+    if (final === "m" && !intermediates && !/[<=>?]/.test(parameters)) {
+      tokens.push({ type: "sgr", text: source, parameters });
+    } else if (oscBody?.startsWith("8;")) {
+      // OSC 8 ; params ; uri, an empty uri ends the link
+      const url = oscBody.slice(oscBody.indexOf(";", 2) + 1);
+      tokens.push({ type: "link", text: source, url: url || null });
+    } else {
+      tokens.push({ type: "escape", text: source });
+    }
+    index += source.length;
+  }
+  return tokens;
+};
+
+/**
+ * Parses a string with SGR sequences and OSC 8 hyperlinks into spans of text sharing the same style and link.
+ * Other escape sequences are dropped, as they don't style text.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {CellStyle} [options.style=defaultStyle] - Style in effect at the start of the text.
+ * @param {string|null} [options.link=null] - Hyperlink in effect at the start of the text.
+ * @returns {Span[]} Spans with non-empty text; adjacent spans differ in style or link.
+ *
+ * @example
+ * parseAnsi(ansi.style.red + "error:" + ansi.style.reset + " not found")
+ * // => [{ text: "error:", style: { ...defaultStyle, foreground: 1 }, link: null },
+ * //     { text: " not found", style: defaultStyle, link: null }]
+ */
+export const parseAnsi = (text, options = {}) => {
+  /** @type {Span[]} */
+  const spans = [];
+  let style = options.style ?? defaultStyle;
+  let link = options.link ?? null;
+
+  for (const token of tokenizeAnsi(text)) {
+    if (token.type === "sgr") style = applySgr(style, token.parameters || "0");
+    else if (token.type === "link") link = token.url;
+    else if (token.type === "text") {
+      const last = spans.at(-1);
+      if (last && last.link === link && isSameStyle(last.style, style)) last.text += token.text;
+      else spans.push({ text: token.text, style, link });
+    }
+  }
+  return spans;
+};
+
+/**
+ * Turns spans back into a string, with the shortest SGR sequences between them (see sgrTransition)
+ * and OSC 8 sequences where the link changes. The string ends with the default style and no link,
+ * so it can be concatenated with other text.
+ *
+ * @param {Span[]} spans
+ * @returns {string}
+ *
+ * @example
+ * serializeSpans(parseAnsi(text).map((span) => ({ ...span, text: span.text.toUpperCase() })))
+ */
+export const serializeSpans = (spans) => {
+  let output = "";
+  let style = defaultStyle;
+  let link = null;
+  for (const span of spans) {
+    if (!span.text) continue;
+    const spanLink = span.link ?? null;
+    if (spanLink !== link) output += `${OSC}8;;${spanLink ?? ""}${BEL}`;
+    output += sgrTransition(style, span.style) + span.text;
+    style = span.style;
+    link = spanLink;
+  }
+  if (link !== null) output += `${OSC}8;;${BEL}`;
+  return output + sgrTransition(style, defaultStyle);
+};
+
+/**
+ * Splits styled text into lines of cells, one per grapheme cluster. Tabs are expanded to spaces
+ * up to the next tab stop.
+ *
+ * @param {string} text
+ * @param {number} tabWidth
+ * @returns {TextCell[][]}
+ */
+const toCellLines = (text, tabWidth) => {
+  /** @type {TextCell[][]} */
+  const lines = [[]];
+  let column = 0;
+  for (const { text: spanText, style, link } of parseAnsi(text)) {
+    for (const grapheme of graphemes(spanText)) {
+      if (grapheme === "\n" || grapheme === "\r\n") {
+        lines.push([]);
+        column = 0;
+      } else if (grapheme === "\t") {
+        const spaces = tabWidth - column % tabWidth;
+        for (let index = 0; index < spaces; index++) lines.at(-1).push({ text: " ", width: 1, style, link });
+        column += spaces;
+      } else {
+        const width = graphemeWidth(grapheme);
+        lines.at(-1).push({ text: grapheme, width, style, link });
+        column += width;
+      }
+    }
+  }
+  return lines;
+};
+
+/**
+ * Turns a line of cells back into a string (see serializeSpans).
+ *
+ * @param {TextCell[]} cells
+ * @returns {string}
+ */
+const fromCells = (cells) => {
+  /** @type {Span[]} */
+  const spans = [];
+  for (const { text, style, link } of cells) {
+    const last = spans.at(-1);
+    if (last && last.link === link && isSameStyle(last.style, style)) last.text += text;
+    else spans.push({ text, style, link });
+  }
+  return serializeSpans(spans);
+};
+
+/**
+ * @param {TextCell[]} cells
+ * @returns {number}
+ */
+const cellsWidth = (cells) => cells.reduce((width, cell) => width + cell.width, 0);
+
+/**
+ * Returns the cells of the columns from `start` to `end`. A wide character cut by either edge
+ * is replaced with spaces when `pad` is set, and left out otherwise.
+ *
+ * @param {TextCell[]} cells
+ * @param {number} start
+ * @param {number} end
+ * @param {boolean} pad
+ * @returns {TextCell[]}
+ */
+const sliceCells = (cells, start, end, pad) => {
+  const result = [];
+  let column = 0;
+  for (const cell of cells) {
+    const cellEnd = column + cell.width;
+    if (column >= start && cellEnd <= end && (cell.width > 0 || column < end)) {
+      result.push(cell);
+    } else if (pad && cellEnd > start && column < end) {
+      const spaces = Math.min(cellEnd, end) - Math.max(column, start);
+      for (let index = 0; index < spaces; index++) result.push({ ...cell, text: " ", width: 1 });
+    }
+    column = cellEnd;
+    if (column >= end) break;
+  }
+  return result;
+};
+
+/**
+ * Returns the number of columns the widest line of a string takes up on the terminal: escape sequences
+ * take none, grapheme clusters take one or two depending on their East Asian Width (see graphemeWidth),
+ * and tabs go to the next tab stop.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.tabWidth=8] - Columns between tab stops.
+ * @returns {number}
+ *
+ * @example
+ * stringWidth(ansi.style.red + "漢字" + ansi.style.reset) // => 4
+ */
+export const stringWidth = (text, options = {}) =>
+  Math.max(...toCellLines(text, options.tabWidth ?? 8).map(cellsWidth));
+
+/**
+ * Replaces tabs with spaces up to the next tab stop, keeping the styles.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.tabWidth=8] - Columns between tab stops.
+ * @returns {string}
+ */
+export const expandTabs = (text, options = {}) =>
+  text.includes("\t") ? toCellLines(text, options.tabWidth ?? 8).map(fromCells).join("\n") : text;
+
+/**
+ * Cuts the columns from `start` to `end` out of each line of a string, keeping the styles and links
+ * in effect there. Half of a wide character cut by either edge becomes a space, so a line long enough
+ * always gives `end - start` columns.
+ *
+ * @param {string} text
+ * @param {number} start - First column, 0-based.
+ * @param {number} [end=Infinity] - Column after the last one.
+ * @param {object} [options]
+ * @param {number} [options.tabWidth=8] - Columns between tab stops.
+ * @returns {string}
+ *
+ * @example
+ * sliceAnsi(ansi.style.bold + "Hello" + ansi.style.reset + " world", 3, 8) // => "\x1b[1mlo\x1b[0m wo"
+ */
+export const sliceAnsi = (text, start, end = Infinity, options = {}) =>
+  toCellLines(text, options.tabWidth ?? 8)
+    .map((cells) => fromCells(sliceCells(cells, start, end, true)))
+    .join("\n");
+
+/**
+ * Shortens each line of a string that is wider than `width` columns, replacing what's cut with an ellipsis
+ * in the style of the text it replaces.
+ *
+ * @param {string} text
+ * @param {number} width - Maximum columns per line, ellipsis included.
+ * @param {object} [options]
+ * @param {TruncatePosition} [options.position=TruncatePosition.END] - Where the text is cut.
+ * @param {string} [options.ellipsis="…"]
+ * @param {number} [options.tabWidth=8] - Columns between tab stops.
+ * @returns {string}
+ *
+ * @example
+ * truncateAnsi("/home/user/projects/just", 16, { position: TruncatePosition.MIDDLE }) // => "/home/us…ts/just"
+ */
+export const truncateAnsi = (text, width, options = {}) => {
+  const { position = TruncatePosition.END, ellipsis = "…", tabWidth = 8 } = options;
+  const ellipsisWidth = stringWidth(ellipsis);
+
+  return toCellLines(text, tabWidth).map((cells) => {
+    const lineWidth = cellsWidth(cells);
+    if (lineWidth <= width) return fromCells(cells);
+    if (width < ellipsisWidth) return fromCells(sliceCells(cells, 0, width, false));
+
+    const available = width - ellipsisWidth;
+    const [head, tail] = position === TruncatePosition.START
+      ? [0, available]
+      : position === TruncatePosition.MIDDLE
+      ? [Math.ceil(available / 2), Math.floor(available / 2)]
+      : [available, 0];
+    const kept = sliceCells(cells, 0, head, false);
+    const cut = cells[kept.length];
+    const ellipsisCells = ellipsis ? [{ text: ellipsis, width: ellipsisWidth, style: cut.style, link: cut.link }] : [];
+    return fromCells([...kept, ...ellipsisCells, ...sliceCells(cells, lineWidth - tail, lineWidth, false)]);
+  }).join("\n");
+};
+
+/**
+ * Wraps each line of a string to lines of at most `width` columns, keeping the styles and links across breaks.
+ *
+ * @param {string} text
+ * @param {number} width - Maximum columns per line.
+ * @param {object} [options]
+ * @param {boolean} [options.hard=false] - Break at exactly `width` columns, even inside words.
+ * By default lines break at spaces, which are dropped at the break, and only words wider than a line are cut.
+ * @param {number} [options.tabWidth=8] - Columns between tab stops.
+ * @returns {string}
+ *
+ * @example
+ * wrapAnsi("The quick brown fox", 10) // => "The quick\nbrown fox"
+ */
+export const wrapAnsi = (text, width, options = {}) => {
+  const { hard = false, tabWidth = 8 } = options;
+  const maxWidth = Math.max(width, 1);
+  const lines = [];
+
+  for (const cells of toCellLines(text, tabWidth)) {
+    /** @type {TextCell[]} */
+    let line = [];
+    let lineWidth = 0;
+    const breakLine = () => {
+      while (line.length && line.at(-1).text === " ") lineWidth -= line.pop().width;
+      lines.push(fromCells(line));
+      [line, lineWidth] = [[], 0];
+    };
+    const pushCell = (cell, canBreak = true) => {
+      if (canBreak && lineWidth + cell.width > maxWidth && line.length) breakLine();
+      line.push(cell);
+      lineWidth += cell.width;
+    };
+
+    if (hard) {
+      cells.forEach((cell) => pushCell(cell));
+      lines.push(fromCells(line));
+      continue;
+    }
+
+    // Words and the runs of spaces between them
+    const words = [];
+    for (const cell of cells) {
+      const isSpace = cell.text === " ";
+      const last = words.at(-1);
+      if (last && last.isSpace === isSpace) last.cells.push(cell);
+      else words.push({ isSpace, cells: [cell] });
+    }
+    for (const [index, { isSpace, cells: wordCells }] of words.entries()) {
+      // Spaces at the start of a wrapped line are dropped, indentation is kept; spaces past the end are dropped
+      // at the next break
+      if (isSpace) {
+        if (line.length || index === 0) wordCells.forEach((cell) => pushCell(cell, false));
+        continue;
+      }
+      const wordWidth = cellsWidth(wordCells);
+      if (lineWidth + wordWidth > maxWidth) {
+        // A line holding only indentation isn't broken: the indentation shrinks to make room for the word
+        if (line.every((cell) => cell.text === " ")) {
+          while (line.length && lineWidth + wordWidth > maxWidth) lineWidth -= line.pop().width;
+        } else if (wordWidth <= maxWidth) breakLine();
+      }
+      wordCells.forEach((cell) => pushCell(cell));
+    }
+    lines.push(fromCells(line));
+  }
+  return lines.join("\n");
+};
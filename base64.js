@@ -0,0 +1,64 @@
+import { encodeUtf8 } from "./unicode.js";
+
+const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/* Value of each base64 character, including the URL-safe "-" and "_" */
+const values = new Map([...alphabet].map((char, index) => [char, index]));
+values.set("-", 62).set("_", 63);
+
+/**
+ * Encodes data as base64 (RFC 4648, with padding), without relying on Node's Buffer or on btoa.
+ *
+ * @param {string|ArrayBuffer|Uint8Array} data - Binary data, or text to encode as UTF-8 first.
+ * @returns {string}
+ *
+ * @example
+ * encodeBase64("héllo")                          // => "aMOpbGxv"
+ * encodeBase64(readFileToArrayBuffer("a.png"))   // => "iVBORw0KGgo..."
+ */
+export const encodeBase64 = (data) => {
+  const bytes = typeof data === "string"
+    ? encodeUtf8(data)
+    : data instanceof Uint8Array
+    ? data
+    : new Uint8Array(data);
+
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 3) {
+    const triple = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    chunks.push(
+      alphabet[(triple >> 18) & 63] +
+        alphabet[(triple >> 12) & 63] +
+        (i + 1 < bytes.length ? alphabet[(triple >> 6) & 63] : "=") +
+        (i + 2 < bytes.length ? alphabet[triple & 63] : "="),
+    );
+  }
+  return chunks.join("");
+};
+
+/**
+ * Decodes base64, standard or URL-safe, with or without padding. Whitespace is ignored.
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {SyntaxError} When the text has characters outside of the base64 alphabet.
+ *
+ * @example
+ * new Utf8Decoder().decode(decodeBase64("aMOpbGxv")) // => "héllo"
+ */
+export const decodeBase64 = (text) => {
+  const chars = text.replace(/[\s=]+/g, "");
+  const bytes = new Uint8Array(Math.floor(chars.length * 3 / 4));
+  let buffer = 0, bits = 0, length = 0;
+  for (const char of chars) {
+    const value = values.get(char);
+    if (value === undefined) throw new SyntaxError(`Invalid base64 character "${char}"`);
+    buffer = ((buffer << 6) | value) & 0xffffff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[length++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes.subarray(0, length);
+};
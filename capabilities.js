@@ -0,0 +1,289 @@
+import { isatty } from "os";
+import { getenv } from "std";
+import { isInteractiveTerminal, queryTerminal } from "./terminal.js";
+
+/**
+ * Color depths a terminal can show
+ *
+ * @readonly
+ * @enum {number}
+ */
+export const ColorLevel = {
+  NONE: 0,
+  BASIC: 1, // 16 colors
+  ANSI256: 2,
+  TRUECOLOR: 3,
+};
+
+/**
+ * @typedef {Object} TerminalCapabilities
+ * @property {ColorLevel} colorLevel - How many colors the terminal shows.
+ * @property {boolean} hyperlinks - Whether OSC 8 hyperlinks (see `link` in cursor.js) are supported.
+ * @property {"kitty"|"iterm"|"sixel"|null} graphics - The image protocol the terminal understands, if any.
+ * @property {boolean} synchronizedOutput - Whether synchronized output (mode 2026) is supported.
+ * @property {boolean} clipboard - Whether the clipboard can be set through OSC 52 (see copyToClipboard in cursor.js).
+ * @property {boolean} titles - Whether the terminal takes window and icon titles (OSC 0, 1, 2).
+ * @property {boolean} titleStack - Whether titles can be saved and restored (XTWINOPS 22, 23).
+ * @property {boolean} shellIntegration - Whether the working directory (OSC 7) and prompt marks (OSC 133) are used.
+ * @property {boolean} progress - Whether progress shows in the tab or taskbar (OSC 9;4).
+ * @property {"osc9"|"osc777"|null} notifications - The desktop notification sequence the terminal understands, if any.
+ * @property {"kitty"|"modifyOtherKeys"|"legacy"} keyboardProtocol - The richest keyboard protocol the terminal
+ * reports keys with (see the `extendedKeys` option of handleKeysPress).
+ * @property {string|null} terminal - Name and version of the terminal as reported by XTVERSION, e.g. "kitty(0.35.2)".
+ * @property {boolean} probed - Whether the terminal answered the live queries; if not, everything comes from the environment.
+ */
+
+/* Terminals known to support a feature, matched against TERM_PROGRAM, TERM and the XTVERSION reply (lower-cased) */
+const truecolorTerminals = ["kitty", "wezterm", "ghostty", "alacritty", "foot", "vscode", "contour", "rio", "iterm2"];
+const hyperlinkTerminals = [
+  "iterm",
+  "wezterm",
+  "kitty",
+  "foot",
+  "ghostty",
+  "vscode",
+  "alacritty",
+  "contour",
+  "konsole",
+  "hyper",
+  "rio",
+];
+const kittyGraphicsTerminals = ["kitty", "wezterm", "ghostty", "konsole"];
+const sixelTerminals = ["foot", "mlterm", "contour", "yaft"];
+const synchronizedOutputTerminals = ["kitty", "wezterm", "foot", "ghostty", "contour", "alacritty", "iterm2"];
+const clipboardTerminals = [
+  "kitty",
+  "wezterm",
+  "foot",
+  "ghostty",
+  "alacritty",
+  "iterm2",
+  "contour",
+  "rio",
+  "tmux",
+  "vscode",
+];
+const titleStackTerminals = ["xterm", "kitty", "foot", "alacritty", "ghostty", "wezterm", "contour"];
+const shellIntegrationTerminals = ["iterm", "kitty", "wezterm", "foot", "ghostty", "vscode", "konsole", "contour"];
+const progressTerminals = ["ghostty", "iterm", "wezterm"];
+const osc777NotificationTerminals = ["kitty", "wezterm", "ghostty", "foot"];
+const kittyKeyboardTerminals = ["kitty", "wezterm", "foot", "ghostty", "alacritty", "rio"];
+
+/* Live queries, ending with primary device attributes, which every terminal answers */
+const probeQueries = {
+  kittyKeyboard: { request: "\x1b[?u", reply: /^\x1b\[\?(\d+)u$/ },
+  modifyOtherKeys: { request: "\x1b[?4m", reply: /^\x1b\[>4;?(\d*)m$/ },
+  synchronizedOutput: { request: "\x1b[?2026$p", reply: /^\x1b\[\?2026;(\d)\$y$/ },
+  kittyGraphics: {
+    request: "\x1b_Gi=31,s=1,v=1,a=q,t=d,f=24;AAAA\x1b\\",
+    reply: /^\x1b_Gi=31;(.*)\x1b\\$/,
+  },
+  version: { request: "\x1b[>0q", reply: /^\x1bP>\|(.*)\x1b\\$/ },
+  secondaryAttributes: { request: "\x1b[>c", reply: /^\x1b\[>([\d;]*)c$/ },
+  primaryAttributes: { request: "\x1b[c", reply: /^\x1b\[\?([\d;]*)c$/ },
+};
+
+const env = (name) => getenv(name) ?? "";
+
+const isOneOf = (name, terminals) => terminals.some((terminal) => name.includes(terminal));
+
+/**
+ * Name of the terminal from the environment (and the XTVERSION reply), for matching against the lists above.
+ *
+ * @param {string|null} [version]
+ * @returns {string}
+ */
+const terminalName = (version) =>
+  [env("TERM_PROGRAM"), env("TERM"), version ?? ""].join(" ").toLowerCase();
+
+/**
+ * Color depth from FORCE_COLOR, NO_COLOR, COLORTERM, TERM_PROGRAM and TERM, in that order.
+ *
+ * @param {string} name
+ * @returns {ColorLevel}
+ */
+const detectColorLevel = (name) => {
+  const forceColor = getenv("FORCE_COLOR");
+  if (forceColor !== undefined) {
+    if (forceColor === "0" || forceColor === "false") return ColorLevel.NONE;
+    return Math.min(Math.max(parseInt(forceColor, 10) || ColorLevel.BASIC, ColorLevel.BASIC), ColorLevel.TRUECOLOR);
+  }
+  if (env("NO_COLOR")) return ColorLevel.NONE;
+
+  const term = env("TERM").toLowerCase();
+  if (term === "dumb") return ColorLevel.NONE;
+  if (/^(truecolor|24bit)$/i.test(env("COLORTERM"))) return ColorLevel.TRUECOLOR;
+  if (env("TERM_PROGRAM") === "iTerm.app") {
+    return parseInt(env("TERM_PROGRAM_VERSION"), 10) >= 3 ? ColorLevel.TRUECOLOR : ColorLevel.ANSI256;
+  }
+  if (env("TERM_PROGRAM") === "Apple_Terminal") return ColorLevel.ANSI256;
+  if (term.endsWith("-direct") || isOneOf(name, truecolorTerminals)) return ColorLevel.TRUECOLOR;
+  if (term.includes("256")) return ColorLevel.ANSI256;
+  return term || env("COLORTERM") ? ColorLevel.BASIC : ColorLevel.NONE;
+};
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+const detectHyperlinks = (name) => {
+  const forceHyperlink = getenv("FORCE_HYPERLINK");
+  if (forceHyperlink !== undefined) return forceHyperlink !== "0" && forceHyperlink !== "false";
+  if (env("WT_SESSION") || env("DOMTERM")) return true;
+  if (Number(env("VTE_VERSION")) >= 5000) return true;
+  return isOneOf(name, hyperlinkTerminals);
+};
+
+/**
+ * @param {string} name
+ * @returns {"kitty"|"iterm"|"sixel"|null}
+ */
+const detectGraphics = (name) => {
+  if (env("KITTY_WINDOW_ID") || isOneOf(name, kittyGraphicsTerminals)) return "kitty";
+  if (name.includes("iterm")) return "iterm";
+  if (isOneOf(name, sixelTerminals)) return "sixel";
+  return null;
+};
+
+/**
+ * Shell integration features (see shellIntegration.js), which terminals don't report.
+ *
+ * @param {string} name
+ * @returns {Pick<TerminalCapabilities, "titles"|"titleStack"|"shellIntegration"|"progress"|"notifications">}
+ */
+const detectShellFeatures = (name) => {
+  const isVte = Boolean(env("VTE_VERSION"));
+  const isWindowsTerminal = Boolean(env("WT_SESSION"));
+  return {
+    titles: !["", "dumb"].includes(env("TERM")),
+    titleStack: isVte || isOneOf(name, titleStackTerminals),
+    shellIntegration: isVte || isWindowsTerminal || isOneOf(name, shellIntegrationTerminals),
+    progress: isWindowsTerminal || env("ConEmuANSI") === "ON" || isOneOf(name, progressTerminals),
+    notifications: name.includes("iterm")
+      ? "osc9"
+      : isOneOf(name, osc777NotificationTerminals) ? "osc777" : null,
+  };
+};
+
+/**
+ * Detects the capabilities of the terminal from the environment alone: TERM, COLORTERM, TERM_PROGRAM,
+ * NO_COLOR, FORCE_COLOR (and FORCE_HYPERLINK, VTE_VERSION, KITTY_WINDOW_ID, WT_SESSION, ConEmuANSI).
+ *
+ * @returns {TerminalCapabilities}
+ */
+export const detectCapabilities = () => {
+  const name = terminalName();
+  return {
+    colorLevel: detectColorLevel(name),
+    hyperlinks: detectHyperlinks(name),
+    graphics: detectGraphics(name),
+    synchronizedOutput: isOneOf(name, synchronizedOutputTerminals),
+    clipboard: Boolean(env("WT_SESSION")) || isOneOf(name, clipboardTerminals),
+    ...detectShellFeatures(name),
+    keyboardProtocol: isOneOf(name, kittyKeyboardTerminals)
+      ? "kitty"
+      : name.includes("xterm") ? "modifyOtherKeys" : "legacy",
+    terminal: null,
+    probed: false,
+  };
+};
+
+/** @type {TerminalCapabilities|null} */
+let capabilities = null;
+
+/**
+ * Detects the capabilities of the terminal from the environment and from the terminal's answers to live queries
+ * (DA1, DA2, XTVERSION, DECRQM and the kitty keyboard and graphics queries). What the terminal answers wins over
+ * what the environment suggests, except that NO_COLOR and FORCE_COLOR always decide the color level.
+ * The result is kept for getCapabilities.
+ *
+ * The terminal must be in raw mode (see enterTerminalSession), or it would echo the answers on the screen.
+ * When the input or the output is not a terminal, only the environment is used.
+ *
+ * @param {object} [options]
+ * @param {number} [options.timeout=500] - Milliseconds to wait for the terminal to answer.
+ * @returns {Promise<TerminalCapabilities>}
+ *
+ * @example
+ * await withTerminalSession(async () => {
+ *   const { colorLevel, synchronizedOutput } = await probeCapabilities();
+ * }, { alternateScreen: false });
+ */
+export const probeCapabilities = async (options = {}) => {
+  const [
+    kittyKeyboard,
+    modifyOtherKeys,
+    synchronizedOutput,
+    kittyGraphics,
+    version,
+    secondaryAttributes,
+    primaryAttributes,
+  ] = await queryTerminal(Object.values(probeQueries), options);
+
+  if (!primaryAttributes) return capabilities = detectCapabilities();
+
+  const terminal = version?.[1] || null;
+  const name = terminalName(terminal);
+  const [terminalType, firmwareVersion] = (secondaryAttributes?.[1] ?? "").split(";");
+  const isVte = terminalType === "65" && Number(firmwareVersion) >= 5000;
+  const namedGraphics = detectGraphics(name);
+  const attributes = primaryAttributes[1].split(";");
+
+  return capabilities = {
+    colorLevel: detectColorLevel(name),
+    hyperlinks: isVte || detectHyperlinks(name),
+    graphics: kittyGraphics?.[1] === "OK"
+      ? "kitty"
+      : namedGraphics === "iterm"
+      ? "iterm"
+      : attributes.includes("4")
+      ? "sixel"
+      : null,
+    synchronizedOutput: ["1", "2", "3"].includes(synchronizedOutput?.[1]),
+    clipboard: attributes.includes("52") || Boolean(env("WT_SESSION")) || isOneOf(name, clipboardTerminals),
+    ...detectShellFeatures(name),
+    keyboardProtocol: kittyKeyboard
+      ? "kitty"
+      : modifyOtherKeys ? "modifyOtherKeys" : "legacy",
+    terminal,
+    probed: true,
+  };
+};
+
+/**
+ * Returns the capabilities of the terminal: the result of the last probeCapabilities, or what the environment tells.
+ *
+ * @returns {TerminalCapabilities}
+ *
+ * @example
+ * const text = getCapabilities().hyperlinks ? link("docs", url) : url;
+ */
+export const getCapabilities = () => capabilities ??= detectCapabilities();
+
+/** @type {ColorLevel|null} */
+let colorLevelOverride = null;
+
+/**
+ * Sets the color depth used for colors from `ansi.styles`, `ansi.rgb` and the like (see applyColorLevel in colorLevel.js),
+ * e.g. from a --color option.
+ *
+ * @param {ColorLevel|null} level - null to go back to detecting it.
+ *
+ * @example
+ * setColorLevel(flags.color === "never" ? ColorLevel.NONE : null);
+ */
+export const setColorLevel = (level) => {
+  colorLevelOverride = level;
+};
+
+/**
+ * Returns the color depth to write colors with: the one set with setColorLevel, or the color level of the terminal
+ * (see getCapabilities). Output that doesn't go to a terminal gets no colors, unless FORCE_COLOR is set.
+ *
+ * @returns {ColorLevel}
+ */
+export const getColorLevel = () => {
+  if (colorLevelOverride !== null) return colorLevelOverride;
+  const toTerminal = isInteractiveTerminal() || isatty(1) || getenv("FORCE_COLOR") !== undefined;
+  return toTerminal ? getCapabilities().colorLevel : ColorLevel.NONE;
+};
@@ -0,0 +1,242 @@
+import { tokenizeAnsi } from "./ansiText.js";
+import { ColorLevel, getColorLevel } from "./capabilities.js";
+
+/**
+ * @typedef {[number, number, number]} Rgb - Red, green and blue, 0 to 255.
+ */
+
+/* The 16 basic colors as xterm shows them by default; terminal themes may change them */
+const basicColors = [
+  [0, 0, 0],
+  [205, 0, 0],
+  [0, 205, 0],
+  [205, 205, 0],
+  [0, 0, 238],
+  [205, 0, 205],
+  [0, 205, 205],
+  [229, 229, 229],
+  [127, 127, 127],
+  [255, 0, 0],
+  [0, 255, 0],
+  [255, 255, 0],
+  [92, 92, 255],
+  [255, 0, 255],
+  [0, 255, 255],
+  [255, 255, 255],
+];
+
+/* Levels of each component in the 6x6x6 color cube (16-231) */
+const cubeLevels = [0, 95, 135, 175, 215, 255];
+
+/**
+ * Returns the color of an xterm-256 palette entry: the 16 basic colors, the 6x6x6 color cube and the 24 grays.
+ *
+ * @param {number} index - 0 to 255.
+ * @returns {Rgb}
+ */
+export const ansi256ToRgb = (index) => {
+  if (index < 16) return /** @type {Rgb} */ ([...basicColors[index]]);
+  if (index >= 232) {
+    const gray = 8 + (index - 232) * 10;
+    return [gray, gray, gray];
+  }
+  const cube = index - 16;
+  return [cubeLevels[Math.floor(cube / 36)], cubeLevels[Math.floor(cube / 6) % 6], cubeLevels[cube % 6]];
+};
+
+/**
+ * Converts a color to CIELAB, where distances follow how different colors look.
+ *
+ * @param {Rgb} rgb
+ * @returns {Rgb} L, a and b.
+ */
+const toLab = ([red, green, blue]) => {
+  const linear = [red, green, blue].map((value) => {
+    const channel = value / 255;
+    return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  // sRGB to XYZ, relative to the D65 white point
+  const [x, y, z] = [
+    (0.4124 * linear[0] + 0.3576 * linear[1] + 0.1805 * linear[2]) / 0.95047,
+    0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2],
+    (0.0193 * linear[0] + 0.1192 * linear[1] + 0.9505 * linear[2]) / 1.08883,
+  ].map((value) => value > 0.008856 ? Math.cbrt(value) : 7.787 * value + 16 / 116);
+  return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+};
+
+/** @type {Rgb[]|null} The palette in CIELAB, computed when first needed */
+let paletteLab = null;
+
+/**
+ * Returns the palette entry between `first` and `last` that looks closest to a color.
+ *
+ * @param {Rgb} rgb
+ * @param {number} first
+ * @param {number} last
+ * @returns {number}
+ */
+const nearestPaletteIndex = (rgb, first, last) => {
+  paletteLab ??= Array.from({ length: 256 }, (_, index) => toLab(ansi256ToRgb(index)));
+  const [l, a, b] = toLab(rgb);
+  let nearest = first;
+  let nearestDistance = Infinity;
+  for (let index = first; index <= last; index++) {
+    const [paletteL, paletteA, paletteB] = paletteLab[index];
+    const distance = (l - paletteL) ** 2 + (a - paletteA) ** 2 + (b - paletteB) ** 2;
+    if (distance < nearestDistance) [nearest, nearestDistance] = [index, distance];
+  }
+  return nearest;
+};
+
+/**
+ * Returns the xterm-256 color that looks closest to a color. Only the color cube and the grays are used,
+ * as themes change the 16 basic colors.
+ *
+ * @param {number} red
+ * @param {number} green
+ * @param {number} blue
+ * @returns {number} 16 to 255.
+ *
+ * @example
+ * rgbToAnsi256(255, 128, 0) // => 208
+ */
+export const rgbToAnsi256 = (red, green, blue) => nearestPaletteIndex([red, green, blue], 16, 255);
+
+/**
+ * Returns the basic color that looks closest to a color.
+ *
+ * @param {number} red
+ * @param {number} green
+ * @param {number} blue
+ * @returns {number} 0 to 15; 8 to 15 are the bright colors.
+ *
+ * @example
+ * rgbToAnsi16(255, 128, 0) // => 1
+ */
+export const rgbToAnsi16 = (red, green, blue) => nearestPaletteIndex([red, green, blue], 0, 15);
+
+/**
+ * SGR parameters of a foreground (base 30), background (base 40) or underline (base 50) color at a color level.
+ *
+ * @param {{index?: number, rgb?: Rgb}} color - A palette index or an RGB color.
+ * @param {30|40|50} base
+ * @param {ColorLevel} level
+ * @returns {string} "" when colors are off.
+ */
+const colorParameters = ({ index, rgb }, base, level) => {
+  if (level === ColorLevel.NONE) return "";
+  if (level === ColorLevel.TRUECOLOR && rgb) return `${base + 8};2;${rgb.join(";")}`;
+  if (level !== ColorLevel.BASIC) return `${base + 8};5;${index ?? rgbToAnsi256(...rgb)}`;
+
+  const basic = index !== undefined && index < 16 ? index : rgbToAnsi16(...(rgb ?? ansi256ToRgb(index)));
+  // Underline colors have no short form
+  if (base === 50) return `58;5;${basic}`;
+  return String(basic < 8 ? base + basic : base + 60 + basic - 8);
+};
+
+/**
+ * @param {{background?: boolean, underline?: boolean}} options
+ * @returns {30|40|50}
+ */
+const colorBase = (options) => options.underline ? 50 : options.background ? 40 : 30;
+
+/* SGR codes of the basic colors and of the default colors */
+const isBasicColorCode = (code) =>
+  (code >= 30 && code <= 37) || code === 39 || (code >= 40 && code <= 47) || code === 49 || code === 59 ||
+  (code >= 90 && code <= 97) || (code >= 100 && code <= 107);
+
+/**
+ * Returns the SGR sequence for a foreground, background or underline color at a color level.
+ *
+ * @param {Rgb} rgb
+ * @param {object} [options]
+ * @param {boolean} [options.background=false]
+ * @param {boolean} [options.underline=false] - For the color of underlines (SGR 58).
+ * @param {ColorLevel} [options.level] - The level from getColorLevel by default.
+ * @returns {string} "" when colors are off.
+ *
+ * @example
+ * rgbSequence([255, 128, 0], { level: ColorLevel.ANSI256 }) // => "\x1b[38;5;208m"
+ */
+export const rgbSequence = (rgb, options = {}) => {
+  const parameters = colorParameters(
+    { rgb: /** @type {Rgb} */ (rgb.map((value) => Math.min(Math.max(Math.round(value) || 0, 0), 255))) },
+    colorBase(options),
+    options.level ?? getColorLevel(),
+  );
+  return parameters ? `\x1b[${parameters}m` : "";
+};
+
+/**
+ * Returns the SGR sequence for a foreground, background or underline xterm-256 color at a color level.
+ *
+ * @param {number} index - 0 to 255.
+ * @param {object} [options]
+ * @param {boolean} [options.background=false]
+ * @param {boolean} [options.underline=false] - For the color of underlines (SGR 58).
+ * @param {ColorLevel} [options.level] - The level from getColorLevel by default.
+ * @returns {string} "" when colors are off.
+ *
+ * @example
+ * paletteSequence(208, { level: ColorLevel.BASIC }) // => "\x1b[31m"
+ */
+export const paletteSequence = (index, options = {}) => {
+  const parameters = colorParameters(
+    { index: Math.min(Math.max(Math.round(index) || 0, 0), 255) },
+    colorBase(options),
+    options.level ?? getColorLevel(),
+  );
+  return parameters ? `\x1b[${parameters}m` : "";
+};
+
+/**
+ * Rewrites the parameters of an SGR sequence for a color level.
+ *
+ * @param {string} parameterText
+ * @param {ColorLevel} level
+ * @returns {string}
+ */
+const downsampleParameters = (parameterText, level) => {
+  const codes = parameterText.split(";");
+  const result = [];
+  for (let index = 0; index < codes.length; index++) {
+    const [code, ...subParameters] = codes[index].split(":").map(Number);
+    if (code === 38 || code === 48 || code === 58) {
+      // 38;5;n and 38;2;r;g;b, or 38:5:n and 38:2::r:g:b
+      const [type, ...values] = subParameters.length ? subParameters : codes.slice(index + 1, index + 5).map(Number);
+      const consumed = subParameters.length ? 0 : type === 5 ? 2 : type === 2 ? 4 : 1;
+      const rgb = subParameters.length ? values.slice(-3) : values.slice(0, 3);
+      const color = type === 5
+        ? { index: values[0] || 0 }
+        : { rgb: /** @type {Rgb} */ (rgb.map((value) => value || 0)) };
+      index += consumed;
+      if (type !== 2 && type !== 5) continue;
+      const parameters = colorParameters(color, /** @type {30|40|50} */ (code - 8), level);
+      if (parameters) result.push(parameters);
+    } else if (level !== ColorLevel.NONE || !isBasicColorCode(code)) {
+      result.push(codes[index]);
+    }
+  }
+  return result.join(";");
+};
+
+/**
+ * Rewrites the colors of SGR sequences in a string for a color level: truecolor becomes the nearest xterm-256
+ * or basic color, and colors are removed when the level is NONE. Other styles and escape sequences are kept.
+ *
+ * @param {string} text
+ * @param {ColorLevel} [level] - The level from getColorLevel by default.
+ * @returns {string}
+ *
+ * @example
+ * applyColorLevel("\x1b[38;2;255;128;0mwarning\x1b[0m", ColorLevel.BASIC) // => "\x1b[31mwarning\x1b[0m"
+ */
+export const applyColorLevel = (text, level = getColorLevel()) => {
+  if (level === ColorLevel.TRUECOLOR || !text.includes("m")) return text;
+  return tokenizeAnsi(text).map((token) => {
+    if (token.type !== "sgr" || !token.parameters) return token.text;
+    const parameters = downsampleParameters(token.parameters, level);
+    if (parameters === token.parameters) return token.text;
+    return parameters ? `\x1b[${parameters}m` : "";
+  }).join("");
+};
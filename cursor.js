@@ -1,3 +1,11 @@
+import { getcwd } from "os";
+import { getenv } from "std";
+import { decodeBase64, encodeBase64 } from "./base64.js";
+import { getCapabilities } from "./capabilities.js";
+import { queryTerminal, writeToTerminal } from "./terminal.js";
+import { getTerminfo } from "./terminfo.js";
+import { Utf8Decoder } from "./unicode.js";
+
 const isTerminalApp = true;
 const isWindows = false;
 
@@ -6,16 +14,36 @@ const OSC = "\u001B]";
 const BEL = "\u0007";
 const SEP = ";";
 
+/**
+ * Expands a counted capability (cursor movement, line and character editing) of the terminfo entry in use
+ * (see useTerminfo in terminfo.js), or repeats its single-step form when the terminal has no parameterized one.
+ *
+ * @param {string} capability - e.g. "cuu"
+ * @param {string} singleStep - e.g. "cuu1"
+ * @param {number} count
+ * @returns {string|null} The sequence, or null when no terminfo entry is in use or it lacks both forms.
+ */
+const terminfoRepeat = (capability, singleStep, count) => {
+  const terminfo = getTerminfo();
+  if (!terminfo) return null;
+  return terminfo.tparm(capability, count) ??
+    terminfo.getString(singleStep)?.repeat(count) ?? null;
+};
+
+/**
+ * Moves the cursor to a 0-based column `x` and a 1-based row `y` (`CSI y;x+1 H`).
+ * Without a row, `x` is the 1-based column (`CSI x G`).
+ */
 export const cursorTo = (x, y) => {
   if (typeof x !== "number") {
     throw new TypeError("The `x` argument is required");
   }
 
   if (typeof y !== "number") {
-    return ESC + x + "G";
+    return getTerminfo()?.tparm("hpa", Math.max(x - 1, 0)) ?? ESC + x + "G";
   }
 
-  return ESC + y + SEP + (x + 1) + "H";
+  return getTerminfo()?.tparm("cup", Math.max(y - 1, 0), x) ?? ESC + y + SEP + (x + 1) + "H";
 };
 
 export const cursorMove = (x, y) => {
@@ -26,24 +54,24 @@ export const cursorMove = (x, y) => {
   let returnValue = "";
 
   if (x < 0) {
-    returnValue += ESC + (-x) + "D";
+    returnValue += cursorBackward(-x);
   } else if (x > 0) {
-    returnValue += ESC + x + "C";
+    returnValue += cursorForward(x);
   }
 
   if (y < 0) {
-    returnValue += ESC + (-y) + "A";
+    returnValue += cursorUp(-y);
   } else if (y > 0) {
-    returnValue += ESC + y + "B";
+    returnValue += cursorDown(y);
   }
 
   return returnValue;
 };
 
-export const cursorUp = (count = 1) => ESC + count + "A";
-export const cursorDown = (count = 1) => ESC + count + "B";
-export const cursorForward = (count = 1) => ESC + count + "C";
-export const cursorBackward = (count = 1) => ESC + count + "D";
+export const cursorUp = (count = 1) => terminfoRepeat("cuu", "cuu1", count) ?? ESC + count + "A";
+export const cursorDown = (count = 1) => terminfoRepeat("cud", "cud1", count) ?? ESC + count + "B";
+export const cursorForward = (count = 1) => terminfoRepeat("cuf", "cuf1", count) ?? ESC + count + "C";
+export const cursorBackward = (count = 1) => terminfoRepeat("cub", "cub1", count) ?? ESC + count + "D";
 
 export const cursorLeft = ESC + "G";
 export const cursorSavePosition = isTerminalApp ? "\u001B7" : ESC + "s";
@@ -54,6 +82,51 @@ export const cursorPrevLine = ESC + "F";
 export const cursorHide = ESC + "?25l";
 export const cursorShow = ESC + "?25h";
 
+/**
+ * Cursor shapes for cursorShape
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const CursorShape = {
+  DEFAULT: "default",
+  BLOCK: "block",
+  UNDERLINE: "underline",
+  BAR: "bar",
+};
+
+/* DECSCUSR styles of the blinking shapes; the steady ones follow them */
+const cursorShapeStyles = { block: 1, underline: 3, bar: 5 };
+
+/**
+ * Sets the shape of the cursor, blinking or steady (DECSCUSR, or the Ss capability of the terminfo entry in use).
+ *
+ * @param {CursorShape} shape - CursorShape.DEFAULT goes back to the shape configured in the terminal.
+ * @param {boolean} [blink=true]
+ * @returns {string}
+ *
+ * @example
+ * writeToTerminal(cursorShape(CursorShape.BAR, false)); // steady bar, e.g. while editing text
+ */
+export const cursorShape = (shape, blink = true) => {
+  if (shape === CursorShape.DEFAULT) return getTerminfo()?.getString("Se") ?? ESC + "0 q";
+  const style = cursorShapeStyles[shape];
+  if (style === undefined) throw new TypeError(`Unknown cursor shape "${shape}"`);
+  const code = blink ? style : style + 1;
+  return getTerminfo()?.tparm("Ss", code) ?? ESC + code + " q";
+};
+
+/**
+ * Sets the color of the cursor (OSC 12).
+ *
+ * @param {string} color - "#rrggbb", or a color name the terminal knows (X11 names).
+ * @returns {string}
+ */
+export const cursorColor = (color) => `${OSC}12${SEP}${color}${BEL}`;
+
+/* Goes back to the cursor color configured in the terminal (OSC 112) */
+export const cursorColorReset = `${OSC}112${BEL}`;
+
 export const eraseLines = (count) => {
   let clear = "";
 
@@ -77,6 +150,80 @@ export const eraseScreen = ESC + "2J";
 export const scrollUp = ESC + "S";
 export const scrollDown = ESC + "T";
 
+/**
+ * Restricts scrolling to the rows from `top` to `bottom` (DECSTBM): line feeds at the bottom of the region,
+ * scrollUp, scrollDown, insertLines and deleteLines only move the lines inside it.
+ * The terminal moves the cursor to the top left corner of the screen.
+ *
+ * @param {number} top - 0-based row.
+ * @param {number} bottom - 0-based row, included in the region.
+ * @returns {string}
+ */
+export const setScrollRegion = (top, bottom) =>
+  getTerminfo()?.tparm("csr", top, bottom) ?? ESC + (top + 1) + SEP + (bottom + 1) + "r";
+
+/* Makes the whole screen scroll again, and moves the cursor to the top left corner */
+export const resetScrollRegion = ESC + "r";
+
+/**
+ * Scrolls the rows from `top` to `bottom` by `count` lines, leaving the rest of the screen and the cursor
+ * where they are: content moves up for positive counts (blank lines appear at the bottom) and down for negative ones.
+ *
+ * @param {number} top - 0-based row.
+ * @param {number} bottom - 0-based row, included.
+ * @param {number} count
+ * @returns {string}
+ *
+ * @example
+ * // The list below the 2 header rows moves up by one item, and only the new last item is drawn
+ * writeToTerminal(scrollRegion(2, rows - 1, 1) + cursorTo(0, rows) + items[last]);
+ */
+export const scrollRegion = (top, bottom, count) => {
+  if (count === 0) return "";
+  const scroll = count > 0 ? ESC + count + "S" : ESC + -count + "T";
+  return cursorSavePosition + setScrollRegion(top, bottom) + scroll + resetScrollRegion + cursorRestorePosition;
+};
+
+/**
+ * Inserts blank lines at the cursor row (IL), pushing the lines below it down, within the scroll region.
+ *
+ * @param {number} [count=1]
+ * @returns {string}
+ */
+export const insertLines = (count = 1) => terminfoRepeat("il", "il1", count) ?? ESC + count + "L";
+
+/**
+ * Deletes lines from the cursor row (DL), pulling the lines below it up, within the scroll region.
+ *
+ * @param {number} [count=1]
+ * @returns {string}
+ */
+export const deleteLines = (count = 1) => terminfoRepeat("dl", "dl1", count) ?? ESC + count + "M";
+
+/**
+ * Inserts blank characters at the cursor (ICH), pushing the rest of the line right.
+ *
+ * @param {number} [count=1]
+ * @returns {string}
+ */
+export const insertCharacters = (count = 1) => terminfoRepeat("ich", "ich1", count) ?? ESC + count + "@";
+
+/**
+ * Deletes characters at the cursor (DCH), pulling the rest of the line left.
+ *
+ * @param {number} [count=1]
+ * @returns {string}
+ */
+export const deleteCharacters = (count = 1) => terminfoRepeat("dch", "dch1", count) ?? ESC + count + "P";
+
+/**
+ * Blanks characters from the cursor (ECH), without moving the rest of the line or the cursor.
+ *
+ * @param {number} [count=1]
+ * @returns {string}
+ */
+export const eraseCharacters = (count = 1) => getTerminfo()?.tparm("ech", count) ?? ESC + count + "X";
+
 export const clearScreen = "\u001Bc";
 
 export const clearTerminal = isWindows
@@ -108,6 +255,109 @@ export const link = (text, url) =>
     BEL,
   ].join("");
 
+/**
+ * Sets the clipboard through the terminal (OSC 52), which also works over SSH.
+ *
+ * @param {string} text
+ * @param {string} [target="c"] - Selection to set: "c" (clipboard), "p" (primary selection), or several, e.g. "cp".
+ * @returns {string}
+ */
+export const clipboardWrite = (text, target = "c") => `${OSC}52${SEP}${target}${SEP}${encodeBase64(text)}${BEL}`;
+
+/**
+ * Asks the terminal for the contents of the clipboard (OSC 52); see readClipboard for the answer.
+ *
+ * @param {string} [target="c"]
+ * @returns {string}
+ */
+export const clipboardQuery = (target = "c") => `${OSC}52${SEP}${target}${SEP}?${BEL}`;
+
+/**
+ * Local clipboard tools, Wayland first when in a Wayland session.
+ *
+ * @param {string} target
+ * @returns {{copy: string[], paste: string[]}[]}
+ */
+const clipboardCommands = (target) => {
+  const isPrimary = target.startsWith("p");
+  const xclip = ["xclip", "-selection", isPrimary ? "primary" : "clipboard"];
+  const xsel = ["xsel", isPrimary ? "--primary" : "--clipboard"];
+  const wayland = isPrimary ? ["--primary"] : [];
+  const commands = [
+    { copy: xclip, paste: [...xclip, "-o"] },
+    { copy: [...xsel, "--input"], paste: [...xsel, "--output"] },
+  ];
+  const waylandCommand = { copy: ["wl-copy", ...wayland], paste: ["wl-paste", "--no-newline", ...wayland] };
+  return getenv("WAYLAND_DISPLAY") ? [waylandCommand, ...commands] : [...commands, waylandCommand];
+};
+
+/**
+ * Runs the first local clipboard tool that succeeds.
+ *
+ * @param {string} target
+ * @param {(command: {copy: string[], paste: string[]}) => string[]} getArgs
+ * @returns {Promise<string>}
+ */
+const runClipboardCommand = async (target, getArgs) => {
+  let lastError;
+  for (const command of clipboardCommands(target)) {
+    try {
+      return await execAsync(getArgs(command));
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw new Error(`No clipboard tool (wl-copy, xclip or xsel) worked: ${lastError?.message ?? ""}`);
+};
+
+/**
+ * Copies text to the clipboard: through the terminal (OSC 52) when it supports it (see getCapabilities),
+ * so that it works over SSH, or else with wl-copy, xclip or xsel.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.target="c"] - "c" for the clipboard, "p" for the primary selection.
+ * @param {boolean} [options.useTerminal] - Forces OSC 52 (true) or the local tools (false).
+ * @returns {Promise<void>}
+ * @throws {Error} When falling back to the local tools and none of them is installed.
+ *
+ * @example
+ * await copyToClipboard(selectedItem);
+ */
+export const copyToClipboard = async (text, options = {}) => {
+  const { target = "c", useTerminal = getCapabilities().clipboard } = options;
+  if (useTerminal) return writeToTerminal(clipboardWrite(text, target));
+  // The text goes as an argument of the shell rather than through its input
+  await runClipboardCommand(
+    target,
+    ({ copy }) => ["sh", "-c", 'text=$1; shift; printf "%s" "$text" | "$@"', "sh", text, ...copy],
+  );
+};
+
+/**
+ * Reads the clipboard: from the terminal (OSC 52) when it supports it and allows it, or else with wl-paste,
+ * xclip or xsel. Many terminals don't answer the query, or only after asking the user, hence the longer timeout.
+ *
+ * The terminal must be in raw mode (see enterTerminalSession), or it would echo the answer on the screen.
+ *
+ * @param {object} [options]
+ * @param {string} [options.target="c"] - "c" for the clipboard, "p" for the primary selection.
+ * @param {boolean} [options.useTerminal] - Forces OSC 52 (true) or the local tools (false).
+ * @param {number} [options.timeout=2000] - Milliseconds to wait for the terminal before using the local tools.
+ * @returns {Promise<string|null>} The text, or null when neither the terminal nor a local tool gave it.
+ */
+export const readClipboard = async (options = {}) => {
+  const { target = "c", useTerminal = getCapabilities().clipboard, timeout = 2000 } = options;
+  if (useTerminal) {
+    const [match] = await queryTerminal(
+      [{ request: clipboardQuery(target), reply: /^\x1b\]52;[a-z0-9]*;([A-Za-z0-9+/=]*)(?:\x07|\x1b\\)$/ }],
+      { timeout },
+    );
+    if (match) return new Utf8Decoder().decode(decodeBase64(match[1]));
+  }
+  return runClipboardCommand(target, ({ paste }) => paste).catch(() => null);
+};
+
 export const image = (data, options = {}) => {
   let returnValue = `${OSC}1337;File=inline=1`;
 
@@ -123,11 +373,11 @@ export const image = (data, options = {}) => {
     returnValue += ";preserveAspectRatio=0";
   }
 
-  return returnValue + ":" + Buffer.from(data).toString("base64") + BEL;
+  return returnValue + ":" + encodeBase64(data) + BEL;
 };
 
 export const iTerm = {
-  setCwd: (cwd = cwdFunction()) => `${OSC}50;CurrentDir=${cwd}${BEL}`,
+  setCwd: (cwd = getcwd()[0]) => `${OSC}50;CurrentDir=${cwd}${BEL}`,
 
   annotation(message, options = {}) {
     let returnValue = `${OSC}1337;`;
@@ -1,15 +1,11 @@
+import { truncateAnsi, TruncatePosition } from "./ansiText.js";
+import { Screen } from "./screen.js";
 import {
-  clearScreen,
-  clearTerminal,
-  cursorLeft,
-  cursorNextLine,
-  cursorTo,
-  cursorUp,
-  eraseScreen,
-  scrollDown,
-  scrollUp,
-} from "./cursor.js";
-import { handleKeysPress, keySequences } from "./terminal.js";
+  getTerminalSize,
+  handleKeysPress,
+  keySequences,
+} from "./terminal.js";
+import { graphemes, isControl } from "./unicode.js";
 
 const log = [];
 
@@ -78,13 +74,82 @@ let indicator = "•";
 let selectedPrefix = " ◉ ";
 let unselectedPrefix = " ○ ";
 let prompt = "> ";
+let listWidth;
+let listHeight;
+let scrollOffset = 0;
+/** @type {Screen|null} */
+let screen = null;
 
-const drawLayout = (header, inputField, items) => {
-  const ui = `\n${header ? header + "\n" : ""}${inputField ? (prompt ?? "") + inputField + "\n" : ""
-    }${items.join("\n")}`;
-  print(clearScreen, cursorTo(0, 0), ui, scrollUp);
+/**
+ * Turns the query into the pattern items are matched against: a regular expression, or the literal text when
+ * regular expressions are off or the query isn't a valid one (yet), like "(" while typing "(a|b)".
+ *
+ * @param {string} query
+ * @param {boolean} regEx
+ * @returns {RegExp}
+ */
+const toPattern = (query, regEx) => {
+  const literal = () => new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (!regEx) return literal();
+  try {
+    return new RegExp(query);
+  } catch {
+    return literal();
+  }
 };
 
+/**
+ * Makes pasted text fit the single-line input field: line breaks and tabs become spaces, and other control
+ * characters are dropped.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const toSingleLine = (text) =>
+  graphemes(text.replace(/\r\n|[\r\n\t]/g, " ")).filter((char) => !isControl(char)).join("");
+
+/**
+ * Draws the header, the input field and the part of the list that fits in the terminal,
+ * scrolled so that the selected item is visible.
+ * Draws through a Screen, so only the lines that changed are written again.
+ */
+const drawLayout = (header, inputField, items, selection = 0) => {
+  const [width, height] = getTerminalSize();
+  const lineWidth = Math.min(listWidth ?? width, width);
+  const visibleCount = Math.max(
+    Math.min(listHeight ?? Infinity, height - getFirstItemRow(header, inputField)),
+    1,
+  );
+
+  if (selection < scrollOffset) scrollOffset = selection;
+  if (selection >= scrollOffset + visibleCount) {
+    scrollOffset = selection - visibleCount + 1;
+  }
+  scrollOffset = Math.max(Math.min(scrollOffset, items.length - visibleCount), 0);
+
+  // Lines wider than the list end with an ellipsis, except the input field, which keeps its end in sight
+  const lines = [
+    ...(header ? [truncateAnsi(header, lineWidth)] : []),
+    ...(inputField
+      ? [truncateAnsi((prompt ?? "") + inputField, lineWidth, { position: TruncatePosition.START })]
+      : []),
+    ...items.slice(scrollOffset, scrollOffset + visibleCount).map((item) => truncateAnsi(item, lineWidth)),
+  ];
+
+  screen ??= new Screen();
+  screen.resize(width, height);
+  screen.clear();
+  const end = screen.write(0, 0, lines.join("\n"));
+  screen.setCursor(end.column, end.row);
+  screen.flush();
+};
+
+/**
+ * Returns the 1-based screen row of the first visible item drawn by drawLayout.
+ */
+const getFirstItemRow = (header, inputField) =>
+  1 + (header ? 1 : 0) + (inputField ? 1 : 0);
+
 const applySelectionIndicator = (item) => {
   if (item.includes(indicator)) return item;
   return item.padStart(item.length + indicator.length, indicator);
@@ -132,6 +197,7 @@ const removeUnselectionPrefix = (item) => {
  * @param {string} [opt.indicator="•"] - character for selection (default = "•")
  * @param {string} [opt.selectedPrefix=" ◉ "] - character to indicate selected items (default = " ◉ ")
  * @param {string} [opt.unselectedPrefix=" ○ "] - character to indicate selected items (default = " ○ ")
+ * @param {boolean} [opt.mouse=true] - select items by clicking and scroll with the mouse wheel (default = true)
  * @param {CustomOptions} [opt.custom]
  *
  * @returns {ListItem<T>[]|null}
@@ -148,12 +214,17 @@ const filterItemsFromList = (listItems, opt) => {
   const header = opt?.headerText ?? "Search";
   const placeHolder = opt?.placeholderText ?? "Filter...";
   prompt = opt?.prompt ?? prompt;
+  listWidth = opt?.width;
+  listHeight = opt?.height;
+  scrollOffset = 0;
+  screen = null;
   let inputField = placeHolder;
   const selectionBucket = new Set();
 
   return new Promise((resolve) => {
     const filterListItems = (query) => {
-      return list.filter((item) => item.match(query))
+      const pattern = toPattern(query, opt?.regEx ?? true);
+      return list.filter((item) => pattern.test(item))
         .map((filteredItem, index) => {
           filteredItem = selectionBucket.has(filteredItem)
             ? applySelectionPrefix(filteredItem)
@@ -165,8 +236,8 @@ const filterItemsFromList = (listItems, opt) => {
         });
     };
 
-    let items = filterListItems(opt?.value ?? ".*");
-    drawLayout(header, inputField, items);
+    let items = filterListItems(opt?.value ?? "");
+    drawLayout(header, inputField, items, selection);
 
     const generateUpdatedItems = () =>
       items.map((item, index) =>
@@ -178,13 +249,13 @@ const filterItemsFromList = (listItems, opt) => {
     const selectNext = () => {
       selection = (selection + 1) % items.length;
       items = generateUpdatedItems();
-      drawLayout(header, inputField, items);
+      drawLayout(header, inputField, items, selection);
     };
 
     const selectPrev = () => {
       selection = (selection - 1 + items.length) % items.length;
       items = generateUpdatedItems();
-      drawLayout(header, inputField, items);
+      drawLayout(header, inputField, items, selection);
     };
 
     const handleSubmit = (key, quit) => {
@@ -204,24 +275,29 @@ const filterItemsFromList = (listItems, opt) => {
       resolve(null);
     };
 
-    const handleInput = (char) => {
-      if (!placeHolder) return;
+    const insertText = (text) => {
+      if (!placeHolder || !text) return;
       if (inputField === placeHolder) inputField = "";
-      inputField += char;
+      inputField += text;
       items = filterListItems(inputField);
       selection = 0;
-      drawLayout(header, inputField, items);
+      drawLayout(header, inputField, items, selection);
+    };
+
+    const handleInput = (char) => {
+      if (isControl(char)) return;
+      insertText(char);
     };
 
     const handleBackspace = () => {
       if (inputField === placeHolder) return;
-      inputField = inputField.slice(0, inputField.length - 1);
+      inputField = graphemes(inputField).slice(0, -1).join("");
       if (inputField.length === 0) {
         inputField = placeHolder;
-        items = filterListItems(".*");
+        items = filterListItems("");
       } else items = filterListItems(inputField);
       selection = 0;
-      drawLayout(header, inputField, items);
+      drawLayout(header, inputField, items, selection);
     };
 
     const markSelected = () => {
@@ -251,21 +327,36 @@ const filterItemsFromList = (listItems, opt) => {
       }
     };
 
+    const handleClick = (event, quit) => {
+      if (event.button !== "left") return;
+      const index = event.row - getFirstItemRow(header, inputField) +
+        scrollOffset;
+      if (index < 0 || index >= items.length) return;
+      if (index === selection) return handleSubmit(null, quit);
+      selection = index;
+      items = generateUpdatedItems();
+      drawLayout(header, inputField, items, selection);
+    };
+
     const keyPressHandlers = {
       [keySequences.ArrowUp]: selectPrev,
       [keySequences.ArrowDown]: selectNext,
       [keySequences.Enter]: handleSubmit,
-      [keySequences.smallLetters]: handleInput,
-      [keySequences.capitalLetters]: handleInput,
       [keySequences.Escape]: handleExit,
       [keySequences.Backspace]: handleBackspace,
       [keySequences.Tab]: selectNext,
       [keySequences.ShiftTab]: selectPrev,
       "+": markSelected,
       "-": markUnselected,
+      [keySequences.Paste]: (text) => insertText(toSingleLine(text)),
+      [keySequences.MousePress]: handleClick,
+      [keySequences.WheelUp]: selectPrev,
+      [keySequences.WheelDown]: selectNext,
+      [keySequences.Resize]: () => drawLayout(header, inputField, items, selection),
+      default: handleInput,
     };
 
-    handleKeysPress(keyPressHandlers);
+    handleKeysPress(keyPressHandlers, { mouse: opt?.mouse ?? true });
   });
 };
 
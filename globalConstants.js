@@ -6,6 +6,7 @@ import {
   execSync as exec,
 } from "../qjs-ext-lib/src/process.js";
 import { cursorShow } from "./cursor.js";
+import { restoreTerminal } from "./terminalSession.js";
 
 globalThis.OS = os;
 
@@ -40,10 +41,12 @@ globalThis.SystemError = class SystemError extends Error {
 
   /**
    * Logs the error in a formatted style, using ANSI codes for styling.
+   * The terminal is restored first, so the message isn't lost with the alternate screen.
    *
    * @param {boolean} inspect - Wheather to print the error body or not for inspection.
    */
   log(inspect) {
+    restoreTerminal();
     print(
       "\n",
       ansi.styles(["bold", "red"]),
@@ -65,6 +68,8 @@ globalThis.execAsync = execAsync;
 globalThis.exec = exec;
 
 const handleError = (error, blockName) => {
+  // Leave raw mode and the alternate screen, so the error can be read wherever it is reported
+  restoreTerminal();
   if (error instanceof SystemError || (error === EXIT)) throw error;
   if (error.stackTrace) {
     error.stackTrace.push(blockName ?? "anonymous");
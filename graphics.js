@@ -0,0 +1,408 @@
+import { ansi } from "./ansiStyle.js";
+import { encodeBase64 } from "./base64.js";
+import { getCapabilities } from "./capabilities.js";
+import { image as iTermImage } from "./cursor.js";
+import { decodeImage, encodePng } from "./imageFormats.js";
+
+const APC = "\x1b_G";
+const DCS = "\x1bP";
+const ST = "\x1b\\";
+
+/**
+ * Decoded image: `width * height` pixels of 4 bytes (red, green, blue, alpha), row by row from the top left.
+ *
+ * @typedef {Object} Bitmap
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array|Uint8ClampedArray} data
+ */
+
+/**
+ * @typedef {Object} KittyImageOptions
+ * @property {number} [id] - Image id (i=), to place the image again or delete it later.
+ * @property {number} [placementId] - Placement id (p=), to tell apart several placements of the same image.
+ * @property {number} [columns] - Width of the placement in cells (c=); scaled from the image when omitted.
+ * @property {number} [rows] - Height of the placement in cells (r=).
+ * @property {number} [zIndex] - Stacking order (z=); negative values go under the text.
+ * @property {boolean} [moveCursor=true] - Whether the cursor moves past the image (C=1 when false).
+ * @property {number} [chunkSize=4096] - Maximum bytes of base64 per escape sequence; the protocol allows 4096.
+ */
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const toBytes = (data) => data instanceof Uint8Array ? data : new Uint8Array(data);
+
+/**
+ * @param {ArrayBuffer|Uint8Array|Bitmap} source
+ * @returns {source is Bitmap}
+ */
+const isBitmap = (source) =>
+  typeof source === "object" && source !== null && "width" in source && "height" in source && "data" in source;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+const isPng = (bytes) =>
+  bytes.length > 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+
+/**
+ * Whether the bytes are a PNG, JPEG or GIF file, the formats that iTerm2 displays on every system.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+const isITermImage = (bytes) =>
+  isPng(bytes) ||
+  (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) ||
+  (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x38);
+
+/**
+ * Joins kitty graphics control keys, skipping the undefined ones.
+ *
+ * @param {Record<string, string|number|undefined>} keys
+ * @returns {string}
+ */
+const controlData = (keys) =>
+  Object.entries(keys)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(",");
+
+/**
+ * Encodes an image for the kitty graphics protocol: transmits it and displays it at the cursor (a=T).
+ * The payload is split into chunks (m=1 on all but the last one), as terminals don't accept more than
+ * 4096 bytes of base64 in one escape sequence. The terminal is asked not to answer (q=2).
+ *
+ * @param {ArrayBuffer|Uint8Array|Bitmap} source - The contents of a PNG file, or decoded pixels.
+ * @param {KittyImageOptions} [options]
+ * @returns {string}
+ *
+ * @example
+ * writeToTerminal(kittyImage(readFileToArrayBuffer("logo.png"), { id: 7, columns: 20 }));
+ * // later
+ * writeToTerminal(kittyDeleteImage({ id: 7 }));
+ */
+export const kittyImage = (source, options = {}) => {
+  let format, payload, width, height;
+  if (isBitmap(source)) {
+    [format, payload, width, height] = [32, encodeBase64(toBytes(source.data)), source.width, source.height];
+  } else {
+    const bytes = toBytes(source);
+    if (!isPng(bytes)) {
+      throw new TypeError("The kitty graphics protocol only reads PNG files; decode other formats into a Bitmap");
+    }
+    [format, payload] = [100, encodeBase64(bytes)];
+  }
+
+  const { chunkSize = 4096 } = options;
+  const chunks = [];
+  for (let offset = 0; offset < payload.length; offset += chunkSize) {
+    chunks.push(payload.slice(offset, offset + chunkSize));
+  }
+
+  const keys = controlData({
+    a: "T",
+    f: format,
+    s: width,
+    v: height,
+    i: options.id,
+    p: options.placementId,
+    c: options.columns,
+    r: options.rows,
+    z: options.zIndex,
+    C: options.moveCursor === false ? 1 : undefined,
+    q: 2,
+  });
+  return chunks
+    .map((chunk, index) => {
+      const more = index < chunks.length - 1 ? 1 : 0;
+      return `${APC}${index === 0 ? `${keys},` : ""}m=${more};${chunk}${ST}`;
+    })
+    .join("");
+};
+
+/**
+ * Deletes kitty images from the screen, and frees their data in the terminal.
+ *
+ * @param {object} [options]
+ * @param {number} [options.id] - Delete this image (all its placements, or only `placementId`).
+ * @param {number} [options.placementId]
+ * @returns {string} Without an id, deletes every image on the screen.
+ */
+export const kittyDeleteImage = (options = {}) =>
+  options.id === undefined
+    ? `${APC}a=d,d=A,q=2${ST}`
+    : `${APC}${controlData({ a: "d", d: "I", i: options.id, p: options.placementId, q: 2 })}${ST}`;
+
+/**
+ * Reduces the colors of a bitmap to a palette by median cut: the set of colors is split along its widest channel
+ * until there are `maxColors` boxes, and each box becomes the average of its colors.
+ *
+ * @param {Bitmap} bitmap
+ * @param {number} [maxColors=256]
+ * @returns {{palette: [number, number, number][], indices: Int16Array}} The palette, and the palette entry of every
+ * pixel (-1 for pixels that are more than half transparent).
+ */
+export const quantizeColors = ({ width, height, data }, maxColors = 256) => {
+  /** @type {Map<number, number>} color (0xrrggbb) to number of pixels */
+  const counts = new Map();
+  for (let i = 0; i < width * height; i++) {
+    if (data[i * 4 + 3] < 128) continue;
+    const color = (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2];
+    counts.set(color, (counts.get(color) ?? 0) + 1);
+  }
+
+  const channel = (color, shift) => (color >> shift) & 0xff;
+  const widestChannel = (colors) => {
+    let widest = { shift: 16, range: -1 };
+    for (const shift of [16, 8, 0]) {
+      let min = 255, max = 0;
+      for (const color of colors) {
+        min = Math.min(min, channel(color, shift));
+        max = Math.max(max, channel(color, shift));
+      }
+      if (max - min > widest.range) widest = { shift, range: max - min };
+    }
+    return widest;
+  };
+
+  // The widest channel of a box is measured once, when the box is made, so picking the next box to split
+  // doesn't scan the colors of every box again
+  const createBox = (colors) => ({ colors, ...widestChannel(colors) });
+  const boxes = [createBox([...counts.keys()])];
+  while (boxes.length < maxColors) {
+    let splitIndex = -1;
+    boxes.forEach((box, index) => {
+      if (box.range > 0 && (splitIndex === -1 || box.range > boxes[splitIndex].range)) splitIndex = index;
+    });
+    if (splitIndex === -1) break;
+
+    const { colors, shift } = boxes[splitIndex];
+    colors.sort((a, b) => channel(a, shift) - channel(b, shift));
+    const total = colors.reduce((sum, color) => sum + counts.get(color), 0);
+    let median = 0;
+    for (let seen = 0; median < colors.length - 1 && seen + counts.get(colors[median]) <= total / 2; median++) {
+      seen += counts.get(colors[median]);
+    }
+    median = Math.min(Math.max(median, 1), colors.length - 1);
+    boxes.splice(splitIndex, 1, createBox(colors.slice(0, median)), createBox(colors.slice(median)));
+  }
+
+  /** @type {Map<number, number>} color to palette entry */
+  const entries = new Map();
+  const palette = boxes.filter(({ colors }) => colors.length > 0).map(({ colors }, index) => {
+    const sum = [0, 0, 0];
+    let total = 0;
+    for (const color of colors) {
+      const count = counts.get(color);
+      sum[0] += channel(color, 16) * count;
+      sum[1] += channel(color, 8) * count;
+      sum[2] += channel(color, 0) * count;
+      total += count;
+      entries.set(color, index);
+    }
+    return sum.map((value) => Math.round(value / total));
+  });
+
+  const indices = new Int16Array(width * height).fill(-1);
+  for (let i = 0; i < width * height; i++) {
+    if (data[i * 4 + 3] < 128) continue;
+    indices[i] = entries.get((data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2]);
+  }
+  return { palette, indices };
+};
+
+/**
+ * Run-length encodes one color of a sixel band (`!count` followed by the repeated sixel).
+ *
+ * @param {Uint8Array} sixels - The six-pixel column bits, one per pixel column.
+ * @returns {string}
+ */
+const encodeSixelRow = (sixels) => {
+  let end = sixels.length;
+  while (end > 0 && sixels[end - 1] === 0) end--;
+
+  let row = "";
+  for (let x = 0; x < end;) {
+    let run = 1;
+    while (x + run < end && sixels[x + run] === sixels[x]) run++;
+    const sixel = String.fromCharCode(63 + sixels[x]);
+    row += run > 3 ? `!${run}${sixel}` : sixel.repeat(run);
+    x += run;
+  }
+  return row;
+};
+
+/**
+ * Encodes a bitmap as Sixel graphics, after reducing it to at most `maxColors` colors (see quantizeColors).
+ * Transparent pixels are left untouched.
+ *
+ * @param {Bitmap} bitmap
+ * @param {object} [options]
+ * @param {number} [options.maxColors=256] - Size of the palette; most terminals have 256 color registers.
+ * @returns {string}
+ */
+export const sixelImage = (bitmap, options = {}) => {
+  const { width, height } = bitmap;
+  const { palette, indices } = quantizeColors(bitmap, options.maxColors ?? 256);
+  const percent = (value) => Math.round(value / 255 * 100);
+
+  let sequence = `${DCS}0;1;0q"1;1;${width};${height}`;
+  palette.forEach(([r, g, b], index) => {
+    sequence += `#${index};2;${percent(r)};${percent(g)};${percent(b)}`;
+  });
+
+  for (let top = 0; top < height; top += 6) {
+    /** @type {Map<number, Uint8Array>} palette entry to its sixels in this band */
+    const band = new Map();
+    for (let y = top; y < Math.min(top + 6, height); y++) {
+      for (let x = 0; x < width; x++) {
+        const index = indices[y * width + x];
+        if (index < 0) continue;
+        if (!band.has(index)) band.set(index, new Uint8Array(width));
+        band.get(index)[x] |= 1 << (y - top);
+      }
+    }
+    sequence += [...band].map(([index, sixels]) => `#${index}${encodeSixelRow(sixels)}`).join("$") + "-";
+  }
+  return sequence + ST;
+};
+
+/**
+ * Resizes a bitmap: each pixel of the result is the average of the pixels it covers, or the nearest pixel
+ * when enlarging.
+ *
+ * @param {Bitmap} bitmap
+ * @param {number} width
+ * @param {number} height
+ * @returns {Bitmap}
+ */
+export const resizeBitmap = (bitmap, width, height) => {
+  if (width === bitmap.width && height === bitmap.height) return bitmap;
+  const data = new Uint8Array(width * height * 4);
+  const scaleX = bitmap.width / width, scaleY = bitmap.height / height;
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+      const sum = [0, 0, 0, 0];
+      for (let sourceY = top; sourceY < bottom; sourceY++) {
+        for (let sourceX = left; sourceX < right; sourceX++) {
+          const pixel = (sourceY * bitmap.width + sourceX) * 4;
+          for (let channel = 0; channel < 4; channel++) sum[channel] += bitmap.data[pixel + channel];
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      data.set(sum.map((value) => Math.round(value / count)), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+/**
+ * Size in pixels of a bitmap fitted in a box of cells, where a cell holds two pixels stacked up.
+ *
+ * @param {Bitmap} bitmap
+ * @param {number} [columns] - Defaults to the width of the bitmap, or to what `rows` allows.
+ * @param {number} [rows] - Defaults to the height of the bitmap, or to what `columns` allows.
+ * @param {boolean} [preserveAspectRatio=true]
+ * @returns {{width: number, height: number}}
+ */
+const fitInCells = (bitmap, columns, rows, preserveAspectRatio = true) => {
+  if (!preserveAspectRatio && columns && rows) return { width: columns, height: rows * 2 };
+  const scale = Math.min(
+    columns ? columns / bitmap.width : Infinity,
+    rows ? rows * 2 / bitmap.height : Infinity,
+  );
+  if (scale === Infinity) return { width: bitmap.width, height: bitmap.height };
+  return {
+    width: Math.max(1, Math.round(bitmap.width * scale)),
+    height: Math.max(1, Math.round(bitmap.height * scale)),
+  };
+};
+
+/**
+ * Renders a bitmap as text, for terminals without a graphics protocol: every cell is an upper half block
+ * ("▀") with the upper pixel as foreground color (ansi.rgb) and the lower pixel as background color (ansi.bgRgb).
+ * Pixels that are more than half transparent are left to the background of the terminal.
+ *
+ * Every line ends with a reset, so the result can be passed to `style` and `join` like any other text.
+ *
+ * @param {Bitmap} bitmap
+ * @param {object} [options]
+ * @param {number} [options.columns] - Maximum width in cells; the image is scaled to fit in columns x rows.
+ * @param {number} [options.rows] - Maximum height in cells.
+ * @param {boolean} [options.preserveAspectRatio=true] - When false, the image is stretched to fill the box.
+ * @returns {string}
+ *
+ * @example
+ * print(style(halfBlockImage(readImage("./logo.ppm"), { columns: 20, rows: 10 }), { border: Border.ROUNDED }));
+ */
+export const halfBlockImage = (bitmap, options = {}) => {
+  const size = fitInCells(bitmap, options.columns, options.rows, options.preserveAspectRatio);
+  const { width, height, data } = resizeBitmap(bitmap, size.width, size.height);
+  const color = (x, y) => {
+    if (y >= height) return null;
+    const pixel = (y * width + x) * 4;
+    return data[pixel + 3] < 128 ? null : [data[pixel], data[pixel + 1], data[pixel + 2]];
+  };
+
+  const lines = [];
+  for (let y = 0; y < height; y += 2) {
+    let line = "", current = "";
+    for (let x = 0; x < width; x++) {
+      const upper = color(x, y), lower = color(x, y + 1);
+      let cell, char;
+      if (upper && lower) [cell, char] = [ansi.rgb(...upper) + ansi.bgRgb(...lower), "▀"];
+      else if (upper) [cell, char] = [ansi.style.reset + ansi.rgb(...upper), "▀"];
+      else if (lower) [cell, char] = [ansi.style.reset + ansi.rgb(...lower), "▄"];
+      else [cell, char] = [ansi.style.reset, " "];
+      if (cell !== current) line += current = cell;
+      line += char;
+    }
+    lines.push(line + ansi.style.reset);
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Encodes an image with the graphics protocol of the terminal (see getCapabilities in capabilities.js):
+ * kitty, iTerm2 (see `image` in cursor.js) or Sixel, or as half blocks (see halfBlockImage) without one.
+ *
+ * Kitty reads PNG files and bitmaps, iTerm2 reads PNG, JPEG and GIF files; other files are decoded with
+ * decodeImage (PNG, Netpbm, BMP and TGA), and sent to iTerm2 as PNG files (see encodePng in imageFormats.js).
+ * JPEG and GIF files can only be shown with iTerm2.
+ *
+ * @param {ArrayBuffer|Uint8Array|Bitmap} source - The contents of an image file, or decoded pixels.
+ * @param {object} [options]
+ * @param {"kitty"|"iterm"|"sixel"|null} [options.protocol] - Overrides the detected protocol.
+ * @param {number} [options.columns] - Width in cells (kitty, iTerm2 and half blocks).
+ * @param {number} [options.rows] - Height in cells (kitty, iTerm2 and half blocks).
+ * @returns {string}
+ * @throws {Error} When the source has to be decoded and its format isn't supported.
+ *
+ * @example
+ * writeToTerminal(renderImage(readFileToArrayBuffer("logo.bmp"), { columns: 20 }));
+ */
+export const renderImage = (source, options = {}) => {
+  const { protocol = getCapabilities().graphics, ...rest } = options;
+  const bytes = isBitmap(source) ? null : toBytes(source);
+  switch (protocol) {
+    case "kitty":
+      return kittyImage(!bytes || isPng(bytes) ? source : decodeImage(bytes), rest);
+    case "iterm":
+      return iTermImage(
+        bytes && isITermImage(bytes) ? bytes : encodePng(bytes ? decodeImage(bytes) : source),
+        { width: rest.columns, height: rest.rows },
+      );
+    case "sixel":
+      return sixelImage(bytes ? decodeImage(bytes) : source, rest);
+    default:
+      return halfBlockImage(bytes ? decodeImage(bytes) : source, rest);
+  }
+};
@@ -0,0 +1,647 @@
+import { readFileToArrayBuffer } from "./utils.js";
+
+/**
+ * @typedef {import("./graphics.js").Bitmap} Bitmap
+ */
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {Bitmap}
+ */
+const createBitmap = (width, height) => {
+  if (!(width > 0 && height > 0)) throw new Error(`Invalid image size ${width}x${height}`);
+  return { width, height, data: new Uint8Array(width * height * 4) };
+};
+
+/**
+ * @param {Bitmap} bitmap
+ * @param {number} x
+ * @param {number} y
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {number} [a=255]
+ */
+const setPixel = (bitmap, x, y, r, g, b, a = 255) => bitmap.data.set([r, g, b, a], (y * bitmap.width + x) * 4);
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+const toBytes = (data) => data instanceof Uint8Array ? data : new Uint8Array(data);
+
+/**
+ * Decodes a Netpbm image: PGM (P2, P5) or PPM (P3, P6), in plain text or binary, with 8 or 16 bits per sample.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Bitmap}
+ */
+export const decodePnm = (data) => {
+  const bytes = toBytes(data);
+  let offset = 0;
+  const isSpace = (byte) => byte === 0x20 || (byte >= 0x09 && byte <= 0x0d);
+  const nextToken = () => {
+    for (;;) {
+      while (offset < bytes.length && isSpace(bytes[offset])) offset++;
+      if (bytes[offset] !== 0x23) break; // "#" comment, up to the end of the line
+      while (offset < bytes.length && bytes[offset] !== 0x0a && bytes[offset] !== 0x0d) offset++;
+    }
+    const start = offset;
+    while (offset < bytes.length && !isSpace(bytes[offset])) offset++;
+    if (start === offset) throw new Error("Truncated Netpbm image");
+    return String.fromCharCode(...bytes.subarray(start, offset));
+  };
+
+  const magic = nextToken();
+  if (!["P2", "P3", "P5", "P6"].includes(magic)) throw new Error(`Unsupported Netpbm format ${magic}`);
+  const [width, height, maxValue] = [nextToken(), nextToken(), nextToken()].map(Number);
+  if (!(maxValue > 0 && maxValue < 65536)) throw new Error(`Invalid Netpbm maximum value ${maxValue}`);
+
+  const channels = magic === "P2" || magic === "P5" ? 1 : 3;
+  const isBinary = magic === "P5" || magic === "P6";
+  const sampleSize = maxValue > 255 ? 2 : 1;
+  offset++; // the single whitespace after the header
+  const readSample = isBinary
+    ? () => {
+      if (offset + sampleSize > bytes.length) throw new Error("Truncated Netpbm image");
+      const value = sampleSize === 2 ? (bytes[offset] << 8) | bytes[offset + 1] : bytes[offset];
+      offset += sampleSize;
+      return value;
+    }
+    : () => Number(nextToken());
+
+  const bitmap = createBitmap(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const samples = Array.from({ length: channels }, () => Math.round(readSample() / maxValue * 255));
+      const [r, g, b] = channels === 1 ? [samples[0], samples[0], samples[0]] : samples;
+      setPixel(bitmap, x, y, r, g, b);
+    }
+  }
+  return bitmap;
+};
+
+/**
+ * Extracts a channel from a packed pixel with a bit mask, scaled to 0-255.
+ *
+ * @param {number} value
+ * @param {number} mask
+ * @returns {number}
+ */
+const maskedChannel = (value, mask) => {
+  if (!mask) return 0;
+  let shift = 0;
+  while (!((mask >>> shift) & 1)) shift++;
+  const max = mask >>> shift;
+  return Math.round(((value & mask) >>> shift) / max * 255);
+};
+
+/**
+ * Decodes an uncompressed Windows bitmap: 1, 4 and 8 bits with a palette, 16 and 32 bits with bit fields,
+ * or 24 and 32 bits BGR.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Bitmap}
+ */
+export const decodeBmp = (data) => {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 54 || bytes[0] !== 0x42 || bytes[1] !== 0x4d) throw new Error("Not a BMP image");
+
+  const pixelOffset = view.getUint32(10, true);
+  const headerSize = view.getUint32(14, true);
+  if (headerSize < 40) throw new Error("Unsupported BMP header (OS/2 bitmaps are not supported)");
+  const width = view.getInt32(18, true);
+  const storedHeight = view.getInt32(22, true);
+  const bitsPerPixel = view.getUint16(28, true);
+  const compression = view.getUint32(30, true);
+  const BI_RGB = 0, BI_BITFIELDS = 3, BI_ALPHABITFIELDS = 6;
+  if (![BI_RGB, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(compression)) {
+    throw new Error(`Unsupported BMP compression ${compression}`);
+  }
+  if (![1, 4, 8, 16, 24, 32].includes(bitsPerPixel)) throw new Error(`Unsupported BMP depth ${bitsPerPixel}`);
+
+  let masks;
+  if (compression === BI_RGB) {
+    masks = bitsPerPixel === 16
+      ? [0x7c00, 0x03e0, 0x001f, 0]
+      : [0x00ff0000, 0x0000ff00, 0x000000ff, 0];
+  } else {
+    const count = compression === BI_ALPHABITFIELDS || headerSize >= 56 ? 4 : 3;
+    masks = Array.from({ length: 4 }, (_, index) => index < count ? view.getUint32(54 + index * 4, true) : 0);
+  }
+
+  const paletteOffset = 14 + headerSize + (compression === BI_BITFIELDS && headerSize === 40 ? 12 : 0) +
+    (compression === BI_ALPHABITFIELDS && headerSize === 40 ? 16 : 0);
+  const paletteSize = view.getUint32(46, true) || (bitsPerPixel <= 8 ? 1 << bitsPerPixel : 0);
+  const palette = Array.from({ length: paletteSize }, (_, index) => {
+    const entry = paletteOffset + index * 4;
+    return [bytes[entry + 2], bytes[entry + 1], bytes[entry]];
+  });
+
+  const height = Math.abs(storedHeight);
+  const isTopDown = storedHeight < 0;
+  const stride = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+  if (pixelOffset + stride * height > bytes.length) throw new Error("Truncated BMP image");
+
+  const bitmap = createBitmap(width, height);
+  let hasAlpha = false;
+  for (let y = 0; y < height; y++) {
+    const row = pixelOffset + (isTopDown ? y : height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      if (bitsPerPixel <= 8) {
+        const bit = x * bitsPerPixel;
+        const index = (bytes[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+        const [r, g, b] = palette[index] ?? [0, 0, 0];
+        setPixel(bitmap, x, y, r, g, b);
+      } else if (bitsPerPixel === 24) {
+        const pixel = row + x * 3;
+        setPixel(bitmap, x, y, bytes[pixel + 2], bytes[pixel + 1], bytes[pixel]);
+      } else {
+        const value = bitsPerPixel === 16 ? view.getUint16(row + x * 2, true) : view.getUint32(row + x * 4, true);
+        const alpha = maskedChannel(value, masks[3]);
+        hasAlpha ||= alpha > 0;
+        setPixel(
+          bitmap,
+          x,
+          y,
+          maskedChannel(value, masks[0]),
+          maskedChannel(value, masks[1]),
+          maskedChannel(value, masks[2]),
+          alpha,
+        );
+      }
+    }
+  }
+  // Without an alpha mask, or with an alpha channel left at zero by the writer, the image is opaque
+  if (bitsPerPixel >= 16 && !hasAlpha) {
+    for (let i = 3; i < bitmap.data.length; i += 4) bitmap.data[i] = 255;
+  }
+  return bitmap;
+};
+
+/**
+ * Decodes an uncompressed Truevision TGA image: color-mapped, true color (15, 16, 24 or 32 bits) or grayscale.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Bitmap}
+ */
+export const decodeTga = (data) => {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 18) throw new Error("Not a TGA image");
+
+  const [idLength, colorMapType, imageType] = bytes;
+  if ([9, 10, 11].includes(imageType)) throw new Error("Run-length encoded TGA images are not supported");
+  if (![1, 2, 3].includes(imageType)) throw new Error(`Unsupported TGA image type ${imageType}`);
+  const colorMapStart = view.getUint16(3, true);
+  const colorMapLength = view.getUint16(5, true);
+  const colorMapDepth = bytes[7];
+  const width = view.getUint16(12, true);
+  const height = view.getUint16(14, true);
+  const depth = bytes[16];
+  const descriptor = bytes[17];
+  const alphaBits = descriptor & 0x0f;
+  const isRightToLeft = (descriptor & 0x10) !== 0;
+  const isTopDown = (descriptor & 0x20) !== 0;
+
+  /**
+   * Reads a BGR(A) color of the given depth.
+   *
+   * @param {number} offset
+   * @param {number} bits
+   * @returns {number[]}
+   */
+  const readColor = (offset, bits) => {
+    if (bits === 15 || bits === 16) {
+      const value = view.getUint16(offset, true);
+      const alpha = bits === 16 && alphaBits ? ((value >> 15) & 1) * 255 : 255;
+      return [maskedChannel(value, 0x7c00), maskedChannel(value, 0x03e0), maskedChannel(value, 0x001f), alpha];
+    }
+    return [bytes[offset + 2], bytes[offset + 1], bytes[offset], bits === 32 && alphaBits ? bytes[offset + 3] : 255];
+  };
+
+  const colorMapOffset = 18 + idLength;
+  const colorMapEntrySize = Math.ceil(colorMapDepth / 8);
+  const pixelOffset = colorMapOffset + (colorMapType === 1 ? colorMapLength * colorMapEntrySize : 0);
+  const pixelSize = Math.ceil(depth / 8);
+  if (pixelOffset + width * height * pixelSize > bytes.length) throw new Error("Truncated TGA image");
+
+  const bitmap = createBitmap(width, height);
+  for (let row = 0; row < height; row++) {
+    for (let column = 0; column < width; column++) {
+      const pixel = pixelOffset + (row * width + column) * pixelSize;
+      let color;
+      if (imageType === 1) {
+        const index = (depth === 16 ? view.getUint16(pixel, true) : bytes[pixel]) - colorMapStart;
+        color = index >= 0 && index < colorMapLength
+          ? readColor(colorMapOffset + index * colorMapEntrySize, colorMapDepth)
+          : [0, 0, 0, 255];
+      } else if (imageType === 3) {
+        color = [bytes[pixel], bytes[pixel], bytes[pixel], depth === 16 && alphaBits ? bytes[pixel + 1] : 255];
+      } else {
+        color = readColor(pixel, depth);
+      }
+      const x = isRightToLeft ? width - 1 - column : column;
+      const y = isTopDown ? row : height - 1 - row;
+      setPixel(bitmap, x, y, ...color);
+    }
+  }
+  return bitmap;
+};
+
+/* Deflate length and distance codes: base value and extra bits, by code */
+const lengthBases = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const lengthExtraBits = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const distanceBases = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+  8193, 12289, 16385, 24577,
+];
+const distanceExtraBits = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+/* Order in which the code lengths of the code length alphabet are stored */
+const codeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Canonical Huffman code, as the number of codes of each length and the symbols sorted by code.
+ *
+ * @typedef {Object} HuffmanCode
+ * @property {Uint16Array} counts
+ * @property {Uint16Array} symbols
+ */
+
+/**
+ * @param {ArrayLike<number>} lengths - Code length of each symbol, 0 for the unused ones.
+ * @returns {HuffmanCode}
+ */
+const huffmanCode = (lengths) => {
+  const counts = new Uint16Array(16);
+  for (let symbol = 0; symbol < lengths.length; symbol++) counts[lengths[symbol]]++;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let length = 1; length < 16; length++) offsets[length] = offsets[length - 1] + counts[length - 1];
+  const symbols = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol]) symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+  return { counts, symbols };
+};
+
+/** @type {[HuffmanCode, HuffmanCode]|null} */
+let fixedCodes = null;
+
+/**
+ * Decompresses a zlib stream (deflate with a 2-byte header).
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} size - Size of the decompressed data.
+ * @returns {Uint8Array}
+ * @throws {Error} When the data is malformed.
+ */
+const inflate = (bytes, size) => {
+  if ((bytes[0] & 0x0f) !== 8) throw new Error("Malformed image: unknown compression method");
+  const output = new Uint8Array(size);
+  let [position, outputLength, bitBuffer, bitCount] = [2, 0, 0, 0];
+
+  const readBits = (count) => {
+    while (bitCount < count) {
+      if (position >= bytes.length) throw new Error("Malformed image: truncated compressed data");
+      bitBuffer |= bytes[position++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+  const readSymbol = ({ counts, symbols }) => {
+    let [code, first, index] = [0, 0, 0];
+    for (let length = 1; length < 16; length++) {
+      code |= readBits(1);
+      if (code - first < counts[length]) return symbols[index + code - first];
+      index += counts[length];
+      first = (first + counts[length]) << 1;
+      code <<= 1;
+    }
+    throw new Error("Malformed image: invalid Huffman code");
+  };
+  const write = (byte) => {
+    if (outputLength >= size) throw new Error("Malformed image: too much compressed data");
+    output[outputLength++] = byte;
+  };
+
+  let isLastBlock;
+  do {
+    isLastBlock = readBits(1);
+    const type = readBits(2);
+    if (type === 0) {
+      // Stored block, from the next byte boundary
+      [bitBuffer, bitCount] = [0, 0];
+      const length = bytes[position] | (bytes[position + 1] << 8);
+      if (position + 4 + length > bytes.length) throw new Error("Malformed image: truncated compressed data");
+      for (const byte of bytes.subarray(position + 4, position + 4 + length)) write(byte);
+      position += 4 + length;
+      continue;
+    }
+
+    let literals, distances;
+    if (type === 1) {
+      fixedCodes ??= [
+        huffmanCode(Array.from({ length: 288 }, (_, symbol) => symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8)),
+        huffmanCode(new Array(30).fill(5)),
+      ];
+      [literals, distances] = fixedCodes;
+    } else if (type === 2) {
+      const literalCount = readBits(5) + 257, distanceCount = readBits(5) + 1, lengthCount = readBits(4) + 4;
+      const codeLengths = new Uint8Array(19);
+      for (let i = 0; i < lengthCount; i++) codeLengths[codeLengthOrder[i]] = readBits(3);
+      const codeLengthCode = huffmanCode(codeLengths);
+      const lengths = [];
+      while (lengths.length < literalCount + distanceCount) {
+        const symbol = readSymbol(codeLengthCode);
+        if (symbol < 16) lengths.push(symbol);
+        else if (symbol === 16) {
+          if (!lengths.length) throw new Error("Malformed image: repeated code length without a previous one");
+          lengths.push(...new Array(3 + readBits(2)).fill(lengths.at(-1)));
+        } else lengths.push(...new Array(symbol === 17 ? 3 + readBits(3) : 11 + readBits(7)).fill(0));
+      }
+      literals = huffmanCode(lengths.slice(0, literalCount));
+      distances = huffmanCode(lengths.slice(literalCount, literalCount + distanceCount));
+    } else throw new Error("Malformed image: invalid deflate block type");
+
+    for (let symbol = readSymbol(literals); symbol !== 256; symbol = readSymbol(literals)) {
+      if (symbol < 256) {
+        write(symbol);
+        continue;
+      }
+      const lengthCode = symbol - 257;
+      if (lengthCode >= lengthBases.length) throw new Error("Malformed image: invalid length code");
+      const length = lengthBases[lengthCode] + readBits(lengthExtraBits[lengthCode]);
+      const distanceCode = readSymbol(distances);
+      if (distanceCode >= distanceBases.length) throw new Error("Malformed image: invalid distance code");
+      const distance = distanceBases[distanceCode] + readBits(distanceExtraBits[distanceCode]);
+      if (distance > outputLength) throw new Error("Malformed image: distance past the start of the data");
+      for (let i = 0; i < length; i++) write(output[outputLength - distance]);
+    }
+  } while (!isLastBlock);
+
+  if (outputLength !== size) throw new Error("Malformed image: not enough compressed data");
+  return output;
+};
+
+/**
+ * @param {number} left
+ * @param {number} up
+ * @param {number} upLeft
+ * @returns {number} Whichever neighbour is closest to left + up - upLeft.
+ */
+const paethPredictor = (left, up, upLeft) => {
+  const estimate = left + up - upLeft;
+  const [toLeft, toUp, toUpLeft] = [left, up, upLeft].map((value) => Math.abs(estimate - value));
+  return toLeft <= toUp && toLeft <= toUpLeft ? left : toUp <= toUpLeft ? up : upLeft;
+};
+
+/**
+ * Reverses the filter of a PNG scanline.
+ *
+ * @param {number} filter - Filter type, 0 to 4.
+ * @param {Uint8Array} line - The filtered bytes.
+ * @param {Uint8Array} previous - The unfiltered previous line of the same pass, zeros for the first one.
+ * @param {number} stride - Bytes per pixel, at least 1.
+ * @returns {Uint8Array}
+ */
+const unfilterLine = (filter, line, previous, stride) => {
+  if (filter > 4) throw new Error(`Malformed PNG image: unknown filter type ${filter}`);
+  const row = new Uint8Array(line);
+  for (let i = 0; i < row.length; i++) {
+    const left = i >= stride ? row[i - stride] : 0;
+    const upLeft = i >= stride ? previous[i - stride] : 0;
+    row[i] += [0, left, previous[i], (left + previous[i]) >> 1, paethPredictor(left, previous[i], upLeft)][filter];
+  }
+  return row;
+};
+
+/* Adam7 interlacing passes: first column, first row, column step and row step */
+const adam7Passes = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+/* Samples per pixel, by PNG color type */
+const pngChannels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Decodes a PNG image: grayscale, RGB, palette, with or without alpha (or a tRNS chunk), 1 to 16 bits per sample,
+ * interlaced or not. Ancillary chunks other than tRNS, such as the gamma, are ignored.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Bitmap}
+ */
+export const decodePng = (data) => {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (!(bytes.length > 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47)) {
+    throw new Error("Not a PNG image");
+  }
+
+  let header = null, palette = null, transparency = null;
+  const compressed = [];
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      const [depth, colorType, , , interlace] = body.subarray(8);
+      header = { width: view.getUint32(offset + 8), height: view.getUint32(offset + 12), depth, colorType, interlace };
+    } else if (type === "PLTE") palette = body;
+    else if (type === "tRNS") transparency = body;
+    else if (type === "IDAT") compressed.push(body);
+    else if (type === "IEND") break;
+    offset += length + 12;
+  }
+  if (!header) throw new Error("Malformed PNG image: no IHDR chunk");
+
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = pngChannels[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth)) {
+    throw new Error(`Unsupported PNG image: color type ${colorType} with ${depth} bits per sample`);
+  }
+  if (colorType === 3 && !palette) throw new Error("Malformed PNG image: no palette");
+  const bitmap = createBitmap(width, height);
+
+  const passes = interlace ? adam7Passes : [[0, 0, 1, 1]];
+  const passSizes = passes.map(([column, row, columnStep, rowStep]) => [
+    Math.max(Math.ceil((width - column) / columnStep), 0),
+    Math.max(Math.ceil((height - row) / rowStep), 0),
+  ]);
+  const pixelBits = channels * depth;
+  const lineLength = (passWidth) => Math.ceil(passWidth * pixelBits / 8);
+  const size = passSizes.reduce(
+    (total, [passWidth, passHeight]) => total + (passWidth ? passHeight * (lineLength(passWidth) + 1) : 0),
+    0,
+  );
+  const compressedData = new Uint8Array(compressed.reduce((total, chunk) => total + chunk.length, 0));
+  compressed.reduce((offset, chunk) => (compressedData.set(chunk, offset), offset + chunk.length), 0);
+  const pixels = inflate(compressedData, size);
+
+  // Transparent color of the images without alpha, in raw samples
+  const transparentKey = transparency && (colorType === 0 || colorType === 2)
+    ? Array.from({ length: channels }, (_, index) => (transparency[index * 2] << 8) | transparency[index * 2 + 1])
+    : null;
+  const maxSample = 2 ** depth - 1;
+  const scale = (sample) => depth === 8 ? sample : Math.round(sample * 255 / maxSample);
+  const samples = new Array(channels);
+
+  let offset = 0;
+  passes.forEach(([firstColumn, firstRow, columnStep, rowStep], pass) => {
+    const [passWidth, passHeight] = passSizes[pass];
+    if (!passWidth) return;
+    const length = lineLength(passWidth);
+    let previous = new Uint8Array(length);
+    for (let y = 0; y < passHeight; y++) {
+      const row = unfilterLine(pixels[offset], pixels.subarray(offset + 1, offset + 1 + length), previous, Math.max(pixelBits >> 3, 1));
+      offset += length + 1;
+      for (let x = 0; x < passWidth; x++) {
+        for (let index = 0; index < channels; index++) {
+          const bit = (x * channels + index) * depth;
+          samples[index] = depth === 16
+            ? (row[bit >> 3] << 8) | row[(bit >> 3) + 1]
+            : (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+        }
+
+        let color;
+        if (colorType === 3) {
+          const entry = samples[0];
+          color = [palette[entry * 3] ?? 0, palette[entry * 3 + 1] ?? 0, palette[entry * 3 + 2] ?? 0, transparency?.[entry] ?? 255];
+        } else {
+          const [r, g, b] = colorType === 0 || colorType === 4 ? [samples[0], samples[0], samples[0]] : samples;
+          const alpha = colorType === 4
+            ? scale(samples[1])
+            : colorType === 6
+            ? scale(samples[3])
+            : transparentKey?.every((value, index) => value === samples[index])
+            ? 0
+            : 255;
+          color = [scale(r), scale(g), scale(b), alpha];
+        }
+        setPixel(bitmap, firstColumn + x * columnStep, firstRow + y * rowStep, ...color);
+      }
+      previous = row;
+    }
+  });
+  return bitmap;
+};
+
+/**
+ * Decodes a PNG, Netpbm, BMP or TGA image, recognized from its first bytes (TGA has no signature, so it's the
+ * fallback).
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Bitmap}
+ * @throws {Error} When the format isn't supported or the data is malformed.
+ */
+export const decodeImage = (data) => {
+  const bytes = toBytes(data);
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return decodePng(bytes);
+  if (bytes[0] === 0x42 && bytes[1] === 0x4d) return decodeBmp(bytes);
+  if (bytes[0] === 0x50 && bytes[1] >= 0x32 && bytes[1] <= 0x36) return decodePnm(bytes);
+  if (bytes[1] <= 1 && [1, 2, 3, 9, 10, 11].includes(bytes[2]) && [8, 15, 16, 24, 32].includes(bytes[16])) {
+    return decodeTga(bytes);
+  }
+  throw new Error("Unsupported image format: only PNG, Netpbm, BMP and TGA images can be decoded");
+};
+
+/**
+ * Reads and decodes a PNG, Netpbm (.ppm, .pgm), BMP or TGA file.
+ *
+ * @param {string} path
+ * @returns {Bitmap}
+ *
+ * @example
+ * writeToTerminal(halfBlockImage(readImage("./logo.ppm"), { columns: 40 }));
+ */
+export const readImage = (path) => decodeImage(readFileToArrayBuffer(path));
+
+/* CRC-32 of the PNG chunks, by byte value */
+const crcTable = Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc >>> 0;
+});
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+const adler32 = (bytes) => {
+  let [a, b] = [1, 0];
+  for (const byte of bytes) {
+    a = (a + byte) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+/**
+ * Encodes a bitmap as an RGBA PNG file, for the protocols that only read image files (iTerm2).
+ * The pixels are stored without compression, which every PNG reader accepts.
+ *
+ * @param {Bitmap} bitmap
+ * @returns {Uint8Array}
+ *
+ * @example
+ * writeToTerminal(image(encodePng(readImage("./logo.tga"))));
+ */
+export const encodePng = ({ width, height, data }) => {
+  const rowLength = width * 4 + 1;
+  const pixels = new Uint8Array(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    // Each row starts with its filter type, 0 (none)
+    pixels.set(data.subarray(y * width * 4, (y + 1) * width * 4), y * rowLength + 1);
+  }
+
+  // zlib stream of stored deflate blocks, of at most 65535 bytes each
+  const blockCount = Math.max(1, Math.ceil(pixels.length / 65535));
+  const zlib = new Uint8Array(2 + blockCount * 5 + pixels.length + 4);
+  const zlibView = new DataView(zlib.buffer);
+  zlib.set([0x78, 0x01]);
+  let offset = 2;
+  for (let block = 0; block < blockCount; block++) {
+    const chunk = pixels.subarray(block * 65535, (block + 1) * 65535);
+    zlib[offset] = block === blockCount - 1 ? 1 : 0;
+    zlibView.setUint16(offset + 1, chunk.length, true);
+    zlibView.setUint16(offset + 3, ~chunk.length & 0xffff, true);
+    zlib.set(chunk, offset + 5);
+    offset += 5 + chunk.length;
+  }
+  zlibView.setUint32(offset, adler32(pixels));
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8); // 8 bits per sample, RGBA, deflate, no filter, no interlace
+
+  const chunks = [["IHDR", header], ["IDAT", zlib], ["IEND", new Uint8Array(0)]].map(([type, body]) => {
+    const chunk = new Uint8Array(body.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, body.length);
+    chunk.set([...type].map((char) => char.charCodeAt(0)), 4);
+    chunk.set(body, 8);
+    view.setUint32(body.length + 8, crc32(chunk.subarray(4, body.length + 8)));
+    return chunk;
+  });
+
+  const png = new Uint8Array(8 + chunks.reduce((length, chunk) => length + chunk.length, 0));
+  png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  chunks.reduce((position, chunk) => (png.set(chunk, position), position + chunk.length), 8);
+  return png;
+};
@@ -0,0 +1,202 @@
+import { clearTimeout, setTimeout } from "os";
+import { graphemes, isControl } from "./unicode.js";
+
+const ESC = "\x1b";
+const BEL = "\x07";
+const ST = "\x1b\\";
+
+const pasteStart = "\x1b[200~";
+const pasteEnd = "\x1b[201~";
+
+/**
+ * States of the input state machine
+ *
+ * @readonly
+ * @enum {string}
+ */
+const State = {
+  GROUND: "ground",
+  ESCAPE: "escape",
+  CSI: "csi",
+  SS3: "ss3",
+  STRING: "string",
+  PASTE: "paste",
+};
+
+/* Introducers of the control strings (OSC, DCS, APC, PM and SOS), terminated by BEL or ST */
+const stringIntroducers = ["]", "P", "_", "^", "X"];
+
+/**
+ * @typedef {Object} InputToken
+ * @property {"char"|"escape"|"string"|"paste"} kind
+ * - char: a grapheme cluster (or a control character) typed outside of any sequence
+ * - escape: a lone Escape, an Escape-prefixed character (Alt), or a complete CSI / SS3 sequence
+ * - string: a complete OSC, DCS, APC, PM or SOS string, including its terminator
+ * - paste: the text between the bracketed paste markers
+ * @property {string} sequence - The raw sequence, or the pasted text for paste tokens.
+ */
+
+/**
+ * @callback TokenHandler
+ * @param {InputToken} token
+ */
+
+/**
+ * A state machine that splits terminal input into characters, escape sequences, control strings and pastes.
+ *
+ * Input can arrive in chunks of any size, a sequence split across chunks is completed by the following chunk.
+ * Typed text is split into grapheme clusters, so "é" written as e + combining acute arrives as one character.
+ * A lone Escape is told apart from the start of a sequence by waiting `escapeTimeout` milliseconds for more input,
+ * and so is an Alt key press that looks like the start of a sequence ("\x1b[", "\x1bO", "\x1bP"...).
+ *
+ * @example
+ * const parser = new InputParser((token) => print(token.kind, JSON.stringify(token.sequence)));
+ * parser.feed("a\x1b[1;5A\x1b");
+ * // char "a", escape "\x1b[1;5A", and after 50ms: escape "\x1b"
+ */
+export class InputParser {
+  /**
+   * @param {TokenHandler} onToken - Called with every complete token.
+   * @param {object} [options]
+   * @param {number} [options.escapeTimeout=50] - Milliseconds to wait after an Escape before treating it as a key press.
+   */
+  constructor(onToken, options = {}) {
+    this.onToken = onToken;
+    this.escapeTimeout = options.escapeTimeout ?? 50;
+    this.state = State.GROUND;
+    this.sequence = "";
+    this.text = "";
+    this.timer = null;
+  }
+
+  /**
+   * Feeds a chunk of input to the parser.
+   *
+   * @param {string} data
+   */
+  feed(data) {
+    this.cancelTimeout();
+    for (const char of data) this.advance(char);
+    this.flushText();
+    this.startTimeout();
+  }
+
+  /**
+   * Emits a pending lone Escape as a key press, and an unfinished sequence as the Alt key press it began with
+   * (Alt+[, Alt+O, Alt+P, Alt+]...), followed by the characters typed after it.
+   * Pastes are left alone, as they only end with their end marker.
+   */
+  flush() {
+    this.cancelTimeout();
+    if (this.state === State.GROUND || this.state === State.PASTE) return;
+    const rest = this.sequence.slice(2);
+    this.emit("escape", this.sequence.slice(0, 2));
+    for (const char of rest) this.advance(char);
+    this.flushText();
+    this.startTimeout();
+  }
+
+  /**
+   * Drops any partial sequence and stops the pending timeout.
+   */
+  reset() {
+    this.cancelTimeout();
+    this.state = State.GROUND;
+    this.sequence = "";
+    this.text = "";
+  }
+
+  /* Waits `escapeTimeout` milliseconds for the rest of an unfinished sequence before flushing it */
+  startTimeout() {
+    if (this.state === State.GROUND || this.state === State.PASTE) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.escapeTimeout);
+  }
+
+  cancelTimeout() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  flushText() {
+    const text = this.text;
+    this.text = "";
+    for (const char of graphemes(text)) this.onToken({ kind: "char", sequence: char });
+  }
+
+  emit(kind, sequence) {
+    this.state = State.GROUND;
+    this.sequence = "";
+    this.onToken({ kind, sequence });
+  }
+
+  advance(char) {
+    switch (this.state) {
+      case State.GROUND:
+        if (char === ESC) {
+          this.flushText();
+          this.state = State.ESCAPE;
+          this.sequence = char;
+        } else if (isControl(char)) {
+          // Control characters are keys of their own ("\r\n" is Enter followed by Ctrl+J)
+          this.flushText();
+          this.emit("char", char);
+        } else this.text += char;
+        break;
+
+      case State.ESCAPE:
+        if (char === ESC) {
+          // Two Escapes in a row: the first one was a key press of its own
+          this.emit("escape", ESC);
+          this.state = State.ESCAPE;
+          this.sequence = char;
+        } else if (char === "[") {
+          this.state = State.CSI;
+          this.sequence += char;
+        } else if (char === "O") {
+          this.state = State.SS3;
+          this.sequence += char;
+        } else if (stringIntroducers.includes(char)) {
+          this.state = State.STRING;
+          this.sequence += char;
+        } else this.emit("escape", this.sequence + char);
+        break;
+
+      case State.CSI:
+      case State.SS3:
+        if (char === ESC) {
+          // An Escape cancels the unfinished sequence and starts a new one
+          this.state = State.ESCAPE;
+          this.sequence = char;
+        } else if (char === "[" && this.sequence === "\x1b[") {
+          // Linux console function keys: "\x1b[[A" to "\x1b[[E"
+          this.sequence += char;
+        } else if (char >= "\x40" && char <= "\x7e") {
+          const sequence = this.sequence + char;
+          if (sequence === pasteStart) {
+            this.state = State.PASTE;
+            this.sequence = "";
+          } else this.emit("escape", sequence);
+        } else this.sequence += char;
+        break;
+
+      case State.STRING:
+        this.sequence += char;
+        if (char === BEL || this.sequence.endsWith(ST)) {
+          this.emit("string", this.sequence);
+        }
+        break;
+
+      case State.PASTE:
+        this.sequence += char;
+        if (this.sequence.endsWith(pasteEnd)) {
+          this.emit("paste", this.sequence.slice(0, -pasteEnd.length));
+        }
+        break;
+    }
+  }
+}
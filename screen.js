@@ -0,0 +1,272 @@
+import { tokenizeAnsi } from "./ansiText.js";
+import { getCapabilities } from "./capabilities.js";
+import { cursorForward, cursorHide, cursorShow, cursorTo, eraseEndLine, eraseScreen } from "./cursor.js";
+import { applySgr, defaultStyle, isSameStyle, sgrTransition } from "./sgr.js";
+import { getTerminalSize, writeToTerminal } from "./terminal.js";
+import { graphemes, graphemeWidth } from "./unicode.js";
+
+/**
+ * @typedef {import("./sgr.js").CellStyle} CellStyle
+ */
+
+/**
+ * @typedef {Object} ScreenCell
+ * @property {string} char - The grapheme cluster shown in the cell, "" for the right half of a wide character.
+ * @property {0|1|2} width - Columns taken by the character: 2 for wide characters, 0 for the cell they cover.
+ * @property {CellStyle} style
+ */
+
+const beginSynchronizedUpdate = "\x1b[?2026h";
+const endSynchronizedUpdate = "\x1b[?2026l";
+
+/* Runs of printable characters and line feeds; other control characters are dropped */
+const printablePattern = /[^\x00-\x1f\x7f]+|\n/g;
+
+/** @type {ScreenCell} */
+const blankCell = Object.freeze({ char: " ", width: 1, style: defaultStyle });
+
+/**
+ * @param {ScreenCell} a
+ * @param {ScreenCell|undefined} b
+ * @returns {boolean}
+ */
+const isSameCell = (a, b) =>
+  a === b || (b !== undefined && a.char === b.char && a.width === b.width && isSameStyle(a.style, b.style));
+
+/**
+ * @param {ScreenCell} cell
+ * @returns {boolean}
+ */
+const isBlank = (cell) => cell.char === " " && isSameStyle(cell.style, defaultStyle);
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {ScreenCell[][]}
+ */
+const blankGrid = (width, height) => Array.from({ length: height }, () => new Array(width).fill(blankCell));
+
+/**
+ * A double-buffered screen: components draw the next frame into a grid of cells, and `render` compares it
+ * with the frame on the terminal to emit only the cursor moves, SGR changes and characters that differ.
+ * When the terminal supports synchronized output (mode 2026, see getCapabilities), each update is wrapped in it
+ * so the terminal shows it at once, without flicker.
+ *
+ * The frame is kept between renders: draw only what changes, or call `clear` and draw everything.
+ *
+ * @example
+ * const screen = new Screen();
+ * screen.clear();
+ * screen.write(0, 0, ansi.style.bold + "Title" + ansi.style.reset);
+ * screen.write(0, 1, items.join("\n"));
+ * screen.setCursor(0, 1);
+ * screen.flush();
+ */
+export class Screen {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.width] - Columns, the width of the terminal by default.
+   * @param {number} [options.height] - Rows, the height of the terminal by default.
+   * @param {boolean} [options.synchronized] - Whether to wrap updates in synchronized output mode,
+   * by default when the terminal supports it.
+   */
+  constructor(options = {}) {
+    const [columns, rows] = getTerminalSize();
+    this.width = options.width ?? columns;
+    this.height = options.height ?? rows;
+    this.synchronized = options.synchronized;
+    /** @type {ScreenCell[][]} The frame being drawn. */
+    this.next = blankGrid(this.width, this.height);
+    /** @type {ScreenCell[][]|null} The frame on the terminal, or null when unknown. */
+    this.current = null;
+    /** @type {{column: number, row: number}|null} Where the cursor is left after rendering, null to hide it. */
+    this.cursor = null;
+    /** @type {{column: number, row: number}|null|undefined} The cursor on the terminal, undefined when unknown. */
+    this.renderedCursor = undefined;
+  }
+
+  /**
+   * Changes the size of the screen. The next frame starts blank and the next render repaints everything,
+   * as the terminal may have reflowed or cleared what was on it.
+   *
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+    this.width = width;
+    this.height = height;
+    this.next = blankGrid(width, height);
+    this.current = null;
+  }
+
+  /**
+   * Makes the next render repaint the whole screen, e.g. after something else wrote to the terminal.
+   */
+  invalidate() {
+    this.current = null;
+  }
+
+  /**
+   * Blanks the next frame.
+   */
+  clear() {
+    this.next = blankGrid(this.width, this.height);
+  }
+
+  /**
+   * Puts a cell in the next frame, blanking what's left of a wide character it overwrites.
+   *
+   * @param {number} column
+   * @param {number} row
+   * @param {ScreenCell} cell
+   */
+  putCell(column, row, cell) {
+    const line = this.next[row];
+    const end = column + cell.width;
+    if (line[column].width === 0 && column > 0) line[column - 1] = blankCell;
+    if (line[end - 1].width === 2 && end < this.width) line[end] = blankCell;
+    line[column] = cell;
+    if (cell.width === 2) line[column + 1] = Object.freeze({ char: "", width: 0, style: cell.style });
+  }
+
+  /**
+   * Draws text into the next frame. The text may contain SGR sequences (e.g. from `ansi.styles` or `style`),
+   * which apply on top of `style`; other escape sequences and control characters are dropped.
+   * Each line after a "\n" starts again at `column`, and text beyond the right edge is cut.
+   *
+   * @param {number} column - 0-based.
+   * @param {number} row - 0-based.
+   * @param {string} text
+   * @param {CellStyle} [style=defaultStyle]
+   * @returns {{column: number, row: number}} The position following the text.
+   */
+  write(column, row, text, style = defaultStyle) {
+    let [x, y] = [column, row];
+    for (const token of tokenizeAnsi(text)) {
+      if (token.type === "sgr") style = applySgr(style, token.parameters || "0");
+      if (token.type !== "text") continue;
+      for (const [chunk] of token.text.matchAll(printablePattern)) {
+        if (chunk === "\n") {
+          [x, y] = [column, y + 1];
+          continue;
+        }
+        for (const grapheme of graphemes(chunk)) {
+          const width = graphemeWidth(grapheme);
+          if (width === 0 || y < 0 || y >= this.height || x + width > this.width) {
+            x += width;
+            continue;
+          }
+          if (x >= 0) this.putCell(x, y, Object.freeze({ char: grapheme, width, style }));
+          x += width;
+        }
+      }
+    }
+    return { column: x, row: y };
+  }
+
+  /**
+   * Sets where the cursor is left after rendering (0-based), and shows it.
+   *
+   * @param {number} column
+   * @param {number} row
+   */
+  setCursor(column, row) {
+    this.cursor = { column, row };
+  }
+
+  /**
+   * Hides the cursor after rendering.
+   */
+  hideCursor() {
+    this.cursor = null;
+  }
+
+  /**
+   * Returns the sequences that turn the frame on the terminal into the next frame, and takes the next frame
+   * as the one on the terminal.
+   *
+   * @returns {string} "" when nothing changed.
+   */
+  render() {
+    let output = "";
+    /** @type {{column: number, row: number}|null} */
+    let position = null;
+    let style = defaultStyle;
+
+    const moveTo = (column, row) => {
+      if (position?.row === row && position.column === column) return;
+      const forward = position?.row === row && column > position.column
+        ? cursorForward(column - position.column)
+        : null;
+      const absolute = cursorTo(column, row + 1);
+      output += forward !== null && forward.length < absolute.length ? forward : absolute;
+      position = { column, row };
+    };
+
+    let current = this.current;
+    if (!current) {
+      output += "\x1b[0m" + eraseScreen;
+      current = blankGrid(this.width, this.height);
+    }
+
+    for (let row = 0; row < this.height; row++) {
+      const line = this.next[row], previous = current[row];
+      const lastColumn = (cells) => {
+        let end = cells.length;
+        while (end > 0 && isBlank(cells[end - 1])) end--;
+        return end;
+      };
+      const end = lastColumn(line);
+
+      for (let column = 0; column < end; column++) {
+        const cell = line[column];
+        if (cell.width === 0) continue;
+        if (
+          isSameCell(cell, previous[column]) &&
+          (cell.width === 1 || isSameCell(line[column + 1], previous[column + 1]))
+        ) continue;
+        moveTo(column, row);
+        output += sgrTransition(style, cell.style);
+        style = cell.style;
+        output += cell.char;
+        // At the right edge the terminal waits to wrap, so the position is unknown until the next move
+        position = column + cell.width < this.width ? { column: column + cell.width, row } : null;
+      }
+
+      if (lastColumn(previous) > end) {
+        moveTo(end, row);
+        output += sgrTransition(style, defaultStyle) + eraseEndLine;
+        style = defaultStyle;
+      }
+    }
+    output += sgrTransition(style, defaultStyle);
+
+    const cursor = this.cursor && {
+      column: Math.min(Math.max(this.cursor.column, 0), this.width - 1),
+      row: Math.min(Math.max(this.cursor.row, 0), this.height - 1),
+    };
+    const rendered = this.renderedCursor;
+    if (cursor && (output || rendered?.column !== cursor.column || rendered?.row !== cursor.row)) {
+      position = null;
+      moveTo(cursor.column, cursor.row);
+    }
+    if (Boolean(cursor) !== Boolean(rendered) || rendered === undefined) output += cursor ? cursorShow : cursorHide;
+    this.renderedCursor = cursor;
+
+    this.current = this.next;
+    this.next = this.next.map((line) => [...line]);
+
+    if (!output) return "";
+    const synchronized = this.synchronized ?? getCapabilities().synchronizedOutput;
+    return synchronized ? beginSynchronizedUpdate + output + endSynchronizedUpdate : output;
+  }
+
+  /**
+   * Renders the next frame on the terminal.
+   */
+  flush() {
+    const output = this.render();
+    if (output) writeToTerminal(output);
+  }
+}
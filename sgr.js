@@ -0,0 +1,229 @@
+/**
+ * Underline styles of SGR 4 (4:1 to 4:5)
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const UnderlineStyle = {
+  SINGLE: "single",
+  DOUBLE: "double",
+  CURLY: "curly",
+  DOTTED: "dotted",
+  DASHED: "dashed",
+};
+
+/**
+ * @typedef {Object} CellStyle
+ * @property {boolean} bold
+ * @property {boolean} dim
+ * @property {boolean} italic
+ * @property {UnderlineStyle|null} underline - null when not underlined.
+ * @property {boolean} blink
+ * @property {boolean} inverse
+ * @property {boolean} hidden
+ * @property {boolean} strikethrough
+ * @property {boolean} overline
+ * @property {number|string|null} foreground - A palette index (0-255), a "#rrggbb" color, or null for the default color.
+ * @property {number|string|null} background - A palette index (0-255), a "#rrggbb" color, or null for the default color.
+ * @property {number|string|null} underlineColor - A palette index (0-255), a "#rrggbb" color, or null for the color
+ * of the text.
+ */
+
+/** @type {CellStyle} */
+export const defaultStyle = Object.freeze({
+  bold: false,
+  dim: false,
+  italic: false,
+  underline: null,
+  blink: false,
+  inverse: false,
+  hidden: false,
+  strikethrough: false,
+  overline: false,
+  foreground: null,
+  background: null,
+  underlineColor: null,
+});
+
+/* SGR codes that set and reset each attribute; bold and dim are both reset by 22 */
+const attributeCodes = {
+  bold: [1, 22],
+  dim: [2, 22],
+  italic: [3, 23],
+  blink: [5, 25],
+  inverse: [7, 27],
+  hidden: [8, 28],
+  strikethrough: [9, 29],
+  overline: [53, 55],
+};
+
+/* Underline styles by the sub-parameter of SGR 4, and back */
+const underlineStyles = [null, ...Object.values(UnderlineStyle)];
+const underlineParameters = {
+  [UnderlineStyle.SINGLE]: "4",
+  [UnderlineStyle.DOUBLE]: "21",
+  [UnderlineStyle.CURLY]: "4:3",
+  [UnderlineStyle.DOTTED]: "4:4",
+  [UnderlineStyle.DASHED]: "4:5",
+};
+
+const toHex = (red, green, blue) =>
+  "#" + [red, green, blue]
+    .map((value) => Math.min(Math.max(value || 0, 0), 255).toString(16).padStart(2, "0"))
+    .join("");
+
+/**
+ * Whether two styles look the same.
+ *
+ * @param {CellStyle} a
+ * @param {CellStyle} b
+ * @returns {boolean}
+ */
+export const isSameStyle = (a, b) =>
+  a === b || Object.keys(defaultStyle).every((name) => a[name] === b[name]);
+
+/**
+ * Applies the parameters of an SGR sequence (`CSI parameters m`) to a style.
+ * Extended colors are read in both forms, "38;5;n" / "38;2;r;g;b" and "38:5:n" / "38:2::r:g:b",
+ * for the foreground (38), the background (48) and underlines (58).
+ *
+ * @param {CellStyle} style
+ * @param {string} parameterText - e.g. "1;38;5;200"
+ * @returns {CellStyle} A new frozen style.
+ *
+ * @example
+ * applySgr(defaultStyle, "1;31") // => { ...defaultStyle, bold: true, foreground: 1 }
+ */
+export const applySgr = (style, parameterText) => {
+  const codes = parameterText.split(";");
+  const result = { ...style };
+
+  const readColor = (index, subParameters) => {
+    const [type, ...values] = subParameters.length
+      ? subParameters
+      : codes.slice(index + 1, index + 5).map(Number);
+    if (type === 5) {
+      return { color: values[0] ?? 0, consumed: subParameters.length ? 0 : 2 };
+    }
+    if (type === 2) {
+      const rgb = subParameters.length ? values.slice(-3) : values.slice(0, 3);
+      return { color: toHex(...rgb), consumed: subParameters.length ? 0 : 4 };
+    }
+    return { color: null, consumed: subParameters.length ? 0 : 1 };
+  };
+
+  for (let index = 0; index < codes.length; index++) {
+    const [code, ...subParameters] = codes[index].split(":").map(Number);
+    if (code === 0) Object.assign(result, defaultStyle);
+    else if (code === 1) result.bold = true;
+    else if (code === 2) result.dim = true;
+    else if (code === 3) result.italic = true;
+    else if (code === 4) {
+      result.underline = subParameters[0] === 0 ? null : underlineStyles[subParameters[0]] ?? UnderlineStyle.SINGLE;
+    }
+    else if (code === 5 || code === 6) result.blink = true;
+    else if (code === 7) result.inverse = true;
+    else if (code === 8) result.hidden = true;
+    else if (code === 9) result.strikethrough = true;
+    else if (code === 21) result.underline = UnderlineStyle.DOUBLE;
+    else if (code === 22) result.bold = result.dim = false;
+    else if (code === 23) result.italic = false;
+    else if (code === 24) result.underline = null;
+    else if (code === 25) result.blink = false;
+    else if (code === 27) result.inverse = false;
+    else if (code === 28) result.hidden = false;
+    else if (code === 29) result.strikethrough = false;
+    else if (code === 53) result.overline = true;
+    else if (code === 55) result.overline = false;
+    else if (code === 59) result.underlineColor = null;
+    else if (code >= 30 && code <= 37) result.foreground = code - 30;
+    else if (code === 39) result.foreground = null;
+    else if (code >= 40 && code <= 47) result.background = code - 40;
+    else if (code === 49) result.background = null;
+    else if (code >= 90 && code <= 97) result.foreground = code - 90 + 8;
+    else if (code >= 100 && code <= 107) result.background = code - 100 + 8;
+    else if (code === 38 || code === 48 || code === 58) {
+      const { color, consumed } = readColor(index, subParameters);
+      result[code === 38 ? "foreground" : code === 48 ? "background" : "underlineColor"] = color;
+      index += consumed;
+    }
+  }
+
+  return Object.freeze(result);
+};
+
+/**
+ * SGR parameters for a foreground (base 30), background (base 40) or underline (base 50) color.
+ *
+ * @param {number|string|null} color
+ * @param {30|40|50} base
+ * @returns {string}
+ */
+const colorParameters = (color, base) => {
+  if (color === null) return String(base + 9);
+  if (typeof color === "string") {
+    const [red, green, blue] = [1, 3, 5].map((index) => parseInt(color.slice(index, index + 2), 16));
+    return `${base + 8};2;${red};${green};${blue}`;
+  }
+  // Underline colors have no short form
+  if (base === 50) return `58;5;${color}`;
+  if (color < 8) return String(base + color);
+  if (color < 16) return String(base + 60 + color - 8);
+  return `${base + 8};5;${color}`;
+};
+
+/**
+ * Returns the shortest SGR sequence that turns one style into another: only what changed is set or reset,
+ * or everything is reset when going back to the default style.
+ *
+ * @param {CellStyle} from
+ * @param {CellStyle} to
+ * @returns {string} The sequence, or "" when the styles look the same.
+ *
+ * @example
+ * sgrTransition(defaultStyle, applySgr(defaultStyle, "1;31")) // => "\x1b[1;31m"
+ */
+export const sgrTransition = (from, to) => {
+  if (isSameStyle(from, to)) return "";
+  if (isSameStyle(to, defaultStyle)) return "\x1b[0m";
+
+  const parameters = [];
+  const resetsIntensity = (from.bold && !to.bold) || (from.dim && !to.dim);
+  if (resetsIntensity) parameters.push(22);
+  for (const [name, [set, reset]] of Object.entries(attributeCodes)) {
+    if (name === "bold" || name === "dim") {
+      if (to[name] && (resetsIntensity || !from[name])) parameters.push(set);
+    } else if (to[name] !== from[name]) {
+      parameters.push(to[name] ? set : reset);
+    }
+  }
+  if (to.underline !== from.underline) parameters.push(to.underline ? underlineParameters[to.underline] : 24);
+  if (to.foreground !== from.foreground) parameters.push(colorParameters(to.foreground, 30));
+  if (to.background !== from.background) parameters.push(colorParameters(to.background, 40));
+  if (to.underlineColor !== from.underlineColor) parameters.push(colorParameters(to.underlineColor, 50));
+  return `\x1b[${parameters.join(";")}m`;
+};
+
+/**
+ * Returns the SGR sequence that turns off what a style turns on, with the code of each attribute
+ * ("22" for bold, "39" for the foreground...) rather than a full reset, so that styles set around the text
+ * are left alone (except bold and dim, which share their code).
+ *
+ * @param {CellStyle} style
+ * @returns {string} The sequence, or "" for the default style.
+ *
+ * @example
+ * sgrOff(applySgr(defaultStyle, "1;4:3;31")) // => "\x1b[22;24;39m"
+ */
+export const sgrOff = (style) => {
+  const parameters = [];
+  if (style.bold || style.dim) parameters.push(22);
+  for (const [name, [, reset]] of Object.entries(attributeCodes)) {
+    if (name !== "bold" && name !== "dim" && style[name]) parameters.push(reset);
+  }
+  if (style.underline) parameters.push(24);
+  if (style.foreground !== null) parameters.push(39);
+  if (style.background !== null) parameters.push(49);
+  if (style.underlineColor !== null) parameters.push(59);
+  return parameters.length ? `\x1b[${parameters.join(";")}m` : "";
+};
@@ -0,0 +1,186 @@
+import { getcwd, isatty } from "os";
+import { getenv, loadFile } from "std";
+import { getCapabilities } from "./capabilities.js";
+
+const OSC = "\x1b]";
+const CSI = "\x1b[";
+const BEL = "\x07";
+
+/**
+ * Progress states of OSC 9;4
+ *
+ * @readonly
+ * @enum {number}
+ */
+export const ProgressState = {
+  HIDDEN: 0,
+  NORMAL: 1,
+  ERROR: 2,
+  INDETERMINATE: 3,
+  PAUSED: 4,
+};
+
+/**
+ * Used for {setTitle}
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const TitleTarget = {
+  BOTH: "0",
+  ICON: "1",
+  WINDOW: "2",
+};
+
+/**
+ * Whether the terminal supports a feature and the output goes to it, so that nothing is written into
+ * redirected output or on terminals that would show the sequence. These sequences are only written, so the
+ * input may come from a pipe.
+ *
+ * @param {keyof import("./capabilities.js").TerminalCapabilities} feature
+ * @returns {boolean}
+ */
+const supports = (feature) => isatty(1) && Boolean(getCapabilities()[feature]);
+
+/**
+ * Removes the control characters that would end the sequence early or smuggle other sequences in.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const sanitize = (text) => String(text).replace(/[\x00-\x1f\x7f-\x9f]/g, "");
+
+/**
+ * Sets the window title, the icon (tab) title or both (OSC 0, 1, 2).
+ *
+ * @param {string} title
+ * @param {TitleTarget} [target=TitleTarget.BOTH]
+ * @returns {string} The sequence, or "" when the terminal doesn't take titles.
+ *
+ * @example
+ * writeToTerminal(pushTitle() + setTitle("just build"));
+ * // ...
+ * writeToTerminal(popTitle());
+ */
+export const setTitle = (title, target = TitleTarget.BOTH) =>
+  supports("titles") ? `${OSC}${target};${sanitize(title)}${BEL}` : "";
+
+/**
+ * Saves the window and icon titles on the terminal's title stack (XTWINOPS 22), to restore them with popTitle.
+ *
+ * @returns {string} The sequence, or "" when the terminal has no title stack.
+ */
+export const pushTitle = () => supports("titleStack") ? `${CSI}22;0t` : "";
+
+/**
+ * Restores the titles saved by the last pushTitle (XTWINOPS 23).
+ *
+ * @returns {string} The sequence, or "" when the terminal has no title stack.
+ */
+export const popTitle = () => supports("titleStack") ? `${CSI}23;0t` : "";
+
+/**
+ * Reads the name of this host. Shells don't export $HOSTNAME, so it's only the last resort.
+ *
+ * @returns {string} The host name, or "" when it can't be found.
+ */
+const getHostname = () =>
+  (loadFile("/proc/sys/kernel/hostname") ?? loadFile("/etc/hostname") ?? getenv("HOSTNAME") ?? "").trim();
+
+/**
+ * Tells the terminal the current working directory (OSC 7), so new tabs and splits open there.
+ *
+ * @param {string} [directory] - Absolute path, the working directory of the process by default.
+ * @param {string} [hostname] - Host the path is on, this host by default.
+ * @returns {string} The sequence, or "" when the terminal doesn't use it.
+ */
+export const setWorkingDirectory = (directory = getcwd()[0], hostname = getHostname()) => {
+  if (!supports("shellIntegration")) return "";
+  const path = directory.split("/").map(encodeURIComponent).join("/");
+  return `${OSC}7;file://${encodeURIComponent(hostname)}${path}${BEL}`;
+};
+
+/**
+ * Marks the start of a prompt (OSC 133;A), so the terminal can jump between prompts and select command output.
+ *
+ * @returns {string} The sequence, or "" when the terminal doesn't use prompt marks.
+ */
+export const markPromptStart = () => supports("shellIntegration") ? `${OSC}133;A${BEL}` : "";
+
+/**
+ * Marks the end of a prompt and the start of the command typed after it (OSC 133;B).
+ *
+ * @returns {string} The sequence, or "" when the terminal doesn't use prompt marks.
+ */
+export const markCommandStart = () => supports("shellIntegration") ? `${OSC}133;B${BEL}` : "";
+
+/**
+ * Marks the start of the output of a command (OSC 133;C).
+ *
+ * @returns {string} The sequence, or "" when the terminal doesn't use prompt marks.
+ */
+export const markOutputStart = () => supports("shellIntegration") ? `${OSC}133;C${BEL}` : "";
+
+/**
+ * Marks the end of a command and its exit status (OSC 133;D).
+ *
+ * @param {number} [exitCode]
+ * @returns {string} The sequence, or "" when the terminal doesn't use prompt marks.
+ */
+export const markCommandEnd = (exitCode) =>
+  supports("shellIntegration") ? `${OSC}133;D${exitCode === undefined ? "" : `;${exitCode}`}${BEL}` : "";
+
+/**
+ * Shows progress in the tab or the taskbar (OSC 9;4).
+ *
+ * @param {number} [percent=0] - 0 to 100, ignored when indeterminate.
+ * @param {ProgressState} [state=ProgressState.NORMAL]
+ * @returns {string} The sequence, or "" when the terminal doesn't show progress.
+ *
+ * @example
+ * tasks.forEach((task, index) => {
+ *   writeToTerminal(setProgress(index / tasks.length * 100));
+ *   task();
+ * });
+ * writeToTerminal(clearProgress());
+ */
+export const setProgress = (percent = 0, state = ProgressState.NORMAL) => {
+  if (!supports("progress")) return "";
+  const hasValue = state !== ProgressState.HIDDEN && state !== ProgressState.INDETERMINATE;
+  const value = hasValue ? Math.min(Math.max(Math.round(percent), 0), 100) : 0;
+  return `${OSC}9;4;${state};${value}${BEL}`;
+};
+
+/**
+ * Removes the progress shown with setProgress.
+ *
+ * @returns {string} The sequence, or "" when the terminal doesn't show progress.
+ */
+export const clearProgress = () => setProgress(0, ProgressState.HIDDEN);
+
+/**
+ * Shows a desktop notification through the terminal (OSC 777 or OSC 9), which also works over SSH.
+ * See `notify` in utils.js for notifications through notify-send.
+ *
+ * @param {string} title
+ * @param {string} [body=""]
+ * @returns {string} The sequence, or "" when the terminal doesn't show notifications.
+ *
+ * @example
+ * writeToTerminal(desktopNotification("just", "Build finished") || beep);
+ */
+export const desktopNotification = (title, body = "") => {
+  if (!isatty(1)) return "";
+  switch (getCapabilities().notifications) {
+    case "osc777":
+      // The title ends at the first ";"
+      return `${OSC}777;notify;${sanitize(title).replaceAll(";", ":")};${sanitize(body)}${BEL}`;
+    case "osc9": {
+      // A message starting with a number and ";" would be taken as another OSC 9 command, like progress
+      const message = sanitize(body ? `${title}: ${body}` : title).replace(/^(\d+);/, "$1:");
+      return `${OSC}9;${message}${BEL}`;
+    }
+    default:
+      return "";
+  }
+};
@@ -1,7 +1,14 @@
 import { ansi } from "./ansiStyle.js";
+import { expandTabs, stringWidth, tokenizeAnsi } from "./ansiText.js";
+import { applyColorLevel } from "./colorLevel.js";
+import { cursorColor, cursorColorReset, cursorHide, cursorShape, CursorShape, cursorShow } from "./cursor.js";
+import { Screen } from "./screen.js";
+import { applySgr, defaultStyle, sgrOff, UnderlineStyle } from "./sgr.js";
+import { getTerminalSize, onResize, writeToTerminal } from "./terminal.js";
+import { onTerminalRestore } from "./terminalSession.js";
 
 /**
- * Used for {input} and {write} functions
+ * Used for {withCursorMode}
  *
  * @readonly
  * @enum {string}
@@ -12,6 +19,100 @@ export const CursorMode = {
   STATIC: "static",
 };
 
+/**
+ * @typedef {Object} CursorState
+ * @property {boolean} visible
+ * @property {CursorShape} shape
+ * @property {boolean} blink
+ * @property {string|null} color - null for the color configured in the terminal.
+ */
+
+/** @type {CursorState} */
+const defaultCursorState = { visible: true, shape: CursorShape.DEFAULT, blink: true, color: null };
+
+/** @type {CursorState} The state applied by the innermost withCursorMode */
+let cursorState = defaultCursorState;
+
+/**
+ * Returns the sequences that turn one cursor state into another.
+ *
+ * @param {CursorState} from
+ * @param {CursorState} to
+ * @returns {string}
+ */
+const cursorStateTransition = (from, to) =>
+  (from.visible !== to.visible ? (to.visible ? cursorShow : cursorHide) : "") +
+  (from.shape !== to.shape || from.blink !== to.blink ? cursorShape(to.shape, to.blink) : "") +
+  (from.color !== to.color ? (to.color === null ? cursorColorReset : cursorColor(to.color)) : "");
+
+/**
+ * Applies a cursor mode while a callback runs, and restores the previous cursor afterwards, also when the
+ * callback throws. Scopes can be nested. If the terminal is restored in the meantime (see restoreTerminal),
+ * the cursor goes back to the terminal's defaults.
+ *
+ * @template T
+ * @param {CursorMode} mode - BLINK and STATIC show a blinking or steady cursor, HIDE hides it.
+ * @param {() => T|Promise<T>} callback
+ * @param {object} [options]
+ * @param {CursorShape} [options.shape] - Shape of the visible cursor; keeps the current one by default
+ * (a block if it's the terminal's default, as steadiness can't be set alone).
+ * @param {string} [options.color] - Color of the cursor (see cursorColor in cursor.js).
+ * @returns {Promise<T>} What the callback returns.
+ *
+ * @example
+ * const name = await withCursorMode(CursorMode.BLINK, () => readLine(), { shape: CursorShape.BAR });
+ */
+export const withCursorMode = async (mode, callback, options = {}) => {
+  const previous = cursorState;
+  const shape = options.shape ??
+    (previous.shape === CursorShape.DEFAULT && mode === CursorMode.STATIC ? CursorShape.BLOCK : previous.shape);
+  const next = mode === CursorMode.HIDE
+    ? { ...previous, visible: false, color: options.color ?? previous.color }
+    : { visible: true, shape, blink: mode === CursorMode.BLINK, color: options.color ?? previous.color };
+
+  writeToTerminal(cursorStateTransition(previous, next));
+  cursorState = next;
+  const unregister = onTerminalRestore(() => {
+    writeToTerminal(cursorStateTransition(cursorState, defaultCursorState));
+    cursorState = defaultCursorState;
+  });
+  try {
+    return await callback();
+  } finally {
+    unregister();
+    writeToTerminal(cursorStateTransition(cursorState, previous));
+    cursorState = previous;
+  }
+};
+
+/* Sequences of the underline styles taken by the underline option of {style} */
+const underlineSequences = {
+  [UnderlineStyle.SINGLE]: ansi.style.underline,
+  [UnderlineStyle.DOUBLE]: ansi.style.doubleUnderline,
+  [UnderlineStyle.CURLY]: ansi.style.curlyUnderline,
+  [UnderlineStyle.DOTTED]: ansi.style.dottedUnderline,
+  [UnderlineStyle.DASHED]: ansi.style.dashedUnderline,
+};
+
+/* Full resets inside styled text */
+const resetPattern = /\x1b\[0?m/g;
+
+/**
+ * Returns a function that applies colors and attributes to a line of text. The line ends by turning off
+ * each of them with its own code rather than a full reset, and the style is applied again after every reset
+ * inside the line, so it neither leaks into the text around nor gets cut by styles nested in the line.
+ *
+ * @param {string} sequence - SGR sequences, e.g. ansi.style.bold + ansi.style.red.
+ * @returns {(line: string) => string}
+ */
+const lineStyler = (sequence) => {
+  if (!sequence) return (line) => line;
+  const style = tokenizeAnsi(sequence)
+    .reduce((style, token) => token.type === "sgr" ? applySgr(style, token.parameters || "0") : style, defaultStyle);
+  const off = sgrOff(style);
+  return (line) => sequence + line.replace(resetPattern, `$&${sequence}`) + off;
+};
+
 /**
  * Used for {style} and {renderTable} functions
  *
@@ -42,11 +143,14 @@ export const Align = {
   TOP: "top",
 };
 
-const getLineLength = (text) =>
-  ansi.stripStyle({ text }).split("\n").reduce(
-    (length, line) => line.length > length ? line.length : length,
-    0,
-  );
+/**
+ * Returns the number of columns the widest line takes up on the terminal (see stringWidth).
+ */
+const getLineLength = (text) => stringWidth(text);
+
+/* Pads a line with spaces up to a width in columns, as String.padEnd and padStart count UTF-16 code units */
+const padLineEnd = (line, width) => line + " ".repeat(Math.max(width - stringWidth(line), 0));
+const padLineStart = (line, width) => " ".repeat(Math.max(width - stringWidth(line), 0)) + line;
 
 const addBorder = (type, text) => {
   let borderX,
@@ -114,7 +218,7 @@ const addBorder = (type, text) => {
   const borderedText = [];
   borderedText.push(firstLine);
   for (let line in lines) {
-    const borderedLine = `${borderY}${lines[line]}${borderY}\n`;
+    const borderedLine = `${borderY}${padLineEnd(lines[line], lineLength)}${borderY}\n`;
     borderedText.push(borderedLine);
   }
   borderedText.push(lastLine);
@@ -178,28 +282,37 @@ const DEFAULT_STYLE = {
  * @param {boolean} [opt.bold=false] - bold text (default = false) ($BOLD)
  * @param {boolean} [opt.italic=false] - italicize text (default = false) ($ITALIC)
  * @param {boolean} [opt.strikethrough=false] - strikethrough text (default = false) ($STRIKETHROUGH)
- * @param {boolean} [opt.underline=false] - underline text (default = false) ($UNDERLINE)
+ * @param {boolean|UnderlineStyle} [opt.underline=false] - underline text, in a given style
+ * (default = false, true for a single underline) ($UNDERLINE)
  * @param {boolean} [opt.faint=false] - faint text (default = false) ($FAINT)
  *
  * @returns {string}
  */
 export const style = (text, opt) => {
   const currStyle = { ...DEFAULT_STYLE, ...opt };
+  // Tabs would take a different width once the text is indented
+  text = expandTabs(text);
   if (currStyle.height < 1) currStyle.height = text.split("\n").length;
   if (currStyle.width < getLineLength(text)) {
     currStyle.width = getLineLength(text);
   }
 
+  const styleLine = lineStyler([
+    opt.foreground,
+    opt.background,
+    currStyle.bold && ansi.style.bold,
+    currStyle.faint && ansi.style.faint,
+    currStyle.italic && ansi.style.italic,
+    currStyle.underline && (underlineSequences[currStyle.underline] ?? ansi.style.underline),
+    currStyle.strikethrough && ansi.style.strikethrough,
+  ].filter(Boolean).join(""));
+
   let currText;
   let currTextHeight;
   switch (currStyle.align) {
     case Align.LEFT:
       currText = text.split("\n").map((line) =>
-        (opt.foreground ?? "").concat(opt.background ?? "") //aplly colours
-          .concat(
-            line.padEnd(currStyle.width, " "), // align left
-            opt.background || opt.foreground ? ansi.style.reset : "",
-          ) // reset colours
+        styleLine(padLineEnd(line, currStyle.width)) // align left
       ).join("\n");
       currTextHeight = currText.split("\n").length;
       currText = currText.concat(
@@ -210,11 +323,7 @@ export const style = (text, opt) => {
       break;
     case Align.RIGHT:
       currText = text.split("\n").map((line) =>
-        (opt.foreground ?? "").concat(opt.background ?? "") //apply colours
-          .concat(
-            line.padStart(currStyle.width, " "), // align right
-            opt.background || opt.foreground ? ansi.style.reset : "",
-          ) // aplly colours
+        styleLine(padLineStart(line, currStyle.width)) // align right
       ).join("\n");
       currTextHeight = currText.split("\n").length;
       currText = currText.concat(
@@ -224,24 +333,11 @@ export const style = (text, opt) => {
       ); // add blank lines below the text
       break;
     case Align.CENTER:
-      const hGap = Math.floor(
-        (currStyle.width -
-          text.split("\n").reduce(
-            (length, line) => line.length > length ? line.length : length,
-            0,
-          )) / 2,
-      );
+      const hGap = Math.floor((currStyle.width - getLineLength(text)) / 2);
 
       currText = text.split("\n").map((line) =>
-        `${opt.foreground ?? ""}${opt.background ?? ""}` // add colour to text
-          .concat(
-            " ".repeat(hGap),
-            line,
-            " ".repeat(hGap), // add blank spaces left and right of the text
-            opt.foreground || opt.background ? ansi.style.reset : "",
-          )
-      ) // reset colour
-        .join("\n");
+        styleLine(" ".repeat(hGap).concat(line, " ".repeat(hGap))) // add blank spaces left and right of the text
+      ).join("\n");
 
       // # Add blank lines below the text to align it to the top of the container
       currText = currText.concat(`\n${(opt.background ?? "") // add background colour to blank lines
@@ -252,11 +348,7 @@ export const style = (text, opt) => {
       break;
     case Align.BOTTOM:
       currText = text.split("\n").map((line) =>
-        (opt.foreground ?? "").concat(opt.background ?? "") //aplly colours
-          .concat(
-            line.padEnd(currStyle.width, " "), // align left
-            opt.background || opt.foreground ? ansi.style.reset : "",
-          ) // reset colours
+        styleLine(padLineEnd(line, currStyle.width)) // align left
       ).join("\n");
 
       currText = `${opt.background ?? ""}${" ".repeat(currStyle.width)}${opt.background ? ansi.style.reset : ""
@@ -269,10 +361,7 @@ export const style = (text, opt) => {
         (currStyle.height / 2) - (text.split("\n").length / 2),
       );
       currText = text.split("\n").map((line) =>
-        `${opt.foreground ?? ""}${opt.background ?? ""}`.concat(
-          line.padEnd(currStyle.width, " "),
-          opt.background || opt.foreground ? ansi.style.reset : "",
-        )
+        styleLine(padLineEnd(line, currStyle.width))
       ).join("\n"); // align left
 
       currText = `${opt.background ?? ""}${" ".repeat(currStyle.width)}${opt.background ? ansi.style.reset : ""
@@ -286,7 +375,7 @@ export const style = (text, opt) => {
       break;
     case Align.TOP:
       currText = text.split("\n").map((line) =>
-        line.padEnd(currStyle.width, " ")
+        styleLine(padLineEnd(line, currStyle.width))
       ).join("\n"); // align left
       currText = currText.concat(
         `\n${" ".repeat(currStyle.width)}`.repeat(
@@ -322,13 +411,40 @@ export const style = (text, opt) => {
   if (opt.border) {
     currText = addBorder(opt.border, currText);
   }
-  return addMargin(
+  // Colors in the text and the options follow the color level of the terminal
+  return applyColorLevel(addMargin(
     currText,
     opt.marginLeft,
     opt.marginRight,
     opt.marginBottom,
     opt.marginTop,
-  );
+  ));
+};
+
+/**
+ * Draw a layout built with {style}, and draw it again at the new dimensions whenever the terminal is resized.
+ * Only the parts of the layout that changed are written again (see Screen).
+ *
+ * @param {(width: number, height: number) => string} render - builds the layout for the given terminal size
+ *
+ * @returns {() => void} function that stops redrawing on resize
+ *
+ * @example
+ * const stop = liveLayout((width, height) =>
+ *   style("Hello", { width: width - 2, height: height - 2, border: Border.ROUNDED, align: Align.MIDDLE })
+ * );
+ */
+export const liveLayout = (render) => {
+  const screen = new Screen();
+  const draw = ([width, height]) => {
+    screen.resize(width, height);
+    screen.clear();
+    const end = screen.write(0, 0, render(width, height));
+    screen.setCursor(end.column, end.row);
+    screen.flush();
+  };
+  draw(getTerminalSize());
+  return onResize(draw);
 };
 
 const getBorders = (borderType) => {
@@ -399,6 +515,7 @@ const getBorders = (borderType) => {
 
 export const style2 = (text, options) => {
   const opt = { ...DEFAULT_STYLE, ...options };
+  text = expandTabs(text);
   opt.width = (() => {
     const currentWidth = opt.width - getLineLength(text) + opt.marginRight +
       opt.marginLeft + opt.paddingRight + opt.paddingLeft + 2;
@@ -406,6 +523,8 @@ export const style2 = (text, options) => {
     if (diff > 0) return opt.width - diff + 1;
     return Math.abs(currentWidth);
   })();
+  // The widest line sets the minimum width, or it would push the right border out
+  opt.width = Math.max(opt.width, getLineLength(text));
   const {
     borderX,
     borderY,
@@ -418,22 +537,23 @@ export const style2 = (text, options) => {
   const marginRight = " ".repeat(opt.marginRight);
   const styledLeft = `${marginLeft}${borderY}${" ".repeat(opt.paddingLeft)}`;
   const styledRight = `${" ".repeat(opt.paddingRight)}${borderY}${marginRight}`;
-  const hGapCount = opt.width - getLineLength(text) >= 0
-    ? opt.width - getLineLength(text)
-    : 0;
-  const hAlignmentGap = " ".repeat(hGapCount);
-  const alignRight = opt.align === Align.RIGHT ? hAlignmentGap : "";
-  const alignLeft = opt.align === Align.LEFT ||
-    (opt.align !== Align.RIGHT && opt.align !== Align.CENTER)
-    ? hAlignmentGap
-    : "";
-  const alignCenter = opt.align === Align.CENTER
-    ? " ".repeat(hGapCount / 2)
-    : "";
-
-  const styledText = text.split("\n").map((line) =>
-    `${styledLeft}${alignRight}${alignCenter}${line}${alignCenter}${alignLeft}${styledRight}\n`
-  ).join("");
+  const styledText = text.split("\n").map((line) => {
+    // Each line is aligned on its own, so lines of different widths end at the border
+    const hGapCount = Math.max(opt.width - getLineLength(line), 0);
+    const hAlignmentGap = " ".repeat(hGapCount);
+    const alignRight = opt.align === Align.RIGHT ? hAlignmentGap : "";
+    const alignLeft = opt.align === Align.LEFT ||
+      (opt.align !== Align.RIGHT && opt.align !== Align.CENTER)
+      ? hAlignmentGap
+      : "";
+    const alignCenterLeft = opt.align === Align.CENTER
+      ? " ".repeat(Math.floor(hGapCount / 2))
+      : "";
+    const alignCenterRight = opt.align === Align.CENTER
+      ? " ".repeat(Math.ceil(hGapCount / 2))
+      : "";
+    return `${styledLeft}${alignRight}${alignCenterLeft}${line}${alignCenterRight}${alignLeft}${styledRight}\n`;
+  }).join("");
 
   const lineLength = getLineLength(styledText);
   const lineLengthWithoutBorder = lineLength - opt.marginLeft -
@@ -479,7 +599,7 @@ export const style2 = (text, options) => {
 
   const result = `${styledTop}${styledText}${styledBotom}`;
 
-  return result.split("\n").filter((line) => line).join("\n"); //remove duplicate \n
+  return applyColorLevel(result.split("\n").filter((line) => line).join("\n")); //remove duplicate \n
 };
 
 const multiLineText = `┏┳  •  ┏  ┏    
@@ -1,5 +1,17 @@
-import { ttySetRaw } from "os";
-import { in as stdin } from "std";
+import {
+  clearTimeout,
+  isatty,
+  read,
+  setReadHandler,
+  setTimeout,
+  signal,
+  ttyGetWinSize,
+} from "os";
+import { getenv, out as stdout } from "std";
+import { InputParser } from "./inputParser.js";
+import { interrupt, onTerminalRestore } from "./terminalSession.js";
+import { getTerminfo } from "./terminfo.js";
+import { graphemes, isControl, Utf8Decoder } from "./unicode.js";
 
 /**
  * Used for key mapping in keysPressHandler function
@@ -76,8 +88,552 @@ const keySequences = {
   capitalLetters: "capitalLetters",
   smallLetters: "smallLetters",
   numbers: "numbers",
+
+  // Mouse events (only reported when the `mouse` option is enabled)
+  MousePress: "MousePress",
+  MouseRelease: "MouseRelease",
+  MouseDrag: "MouseDrag",
+  WheelUp: "WheelUp",
+  WheelDown: "WheelDown",
+  WheelLeft: "WheelLeft",
+  WheelRight: "WheelRight",
+  Mouse: "Mouse", // any mouse event without a more specific handler
+
+  // Bracketed paste, delivered as a single event with the pasted text
+  Paste: "Paste",
+
+  // Terminal window resized, delivered with the new [width, height]
+  Resize: "Resize",
+
+  // Keys typed so far of an unfinished chord (an empty list once the chord completes or is abandoned)
+  ChordPending: "ChordPending",
+};
+
+/* Button-event tracking (1000, 1002) reported with SGR extended coordinates (1006) */
+const enableMouseReporting = "\x1b[?1000h\x1b[?1002h\x1b[?1006h";
+const disableMouseReporting = "\x1b[?1006l\x1b[?1002l\x1b[?1000l";
+const mouseSequencePrefix = "\x1b[<";
+
+/* Bracketed paste mode (2004): pasted text arrives between the start and end markers */
+const enableBracketedPaste = "\x1b[?2004h";
+const disableBracketedPaste = "\x1b[?2004l";
+
+/* Not exported by the QuickJS os module; 28 on Linux, the BSDs and macOS */
+const SIGWINCH = 28;
+
+/**
+ * @typedef {Object} TerminalBackend
+ * Where the terminal input comes from and the output goes to. The tty is the default backend;
+ * a VirtualTerminal (see virtualTerminal.js) can take its place to run TUIs headless.
+ * @property {(onData: (text: string) => void, onEnd: () => void) => (() => void)} readInput - Starts delivering the
+ * input as decoded text, and returns a function that stops it.
+ * @property {(text: string) => void} write - Writes output to the terminal.
+ * @property {() => [number, number]} getSize - Returns the width and height of the terminal.
+ * @property {(listener: () => void) => (() => void)} watchResize - Calls the listener after every resize, until the
+ * returned function is called.
+ * @property {() => boolean} isInteractive - Tells whether the input and the output are a terminal that can answer queries.
+ */
+
+/** @type {TerminalBackend} */
+const ttyBackend = {
+  readInput: (onData, onEnd) => {
+    const buffer = new ArrayBuffer(1024);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new Utf8Decoder();
+    const stop = () => setReadHandler(0, null);
+    setReadHandler(0, () => {
+      const length = read(0, buffer, 0, buffer.byteLength);
+      if (length > 0) {
+        onData(decoder.decode(bytes.subarray(0, length)));
+      } else {
+        stop();
+        onEnd();
+      }
+    });
+    return stop;
+  },
+
+  write: (text) => {
+    stdout.puts(text);
+    stdout.flush();
+  },
+
+  getSize: () => {
+    const [width, height] = isatty(1)
+      ? ttyGetWinSize(1) ?? []
+      : [Number(getenv("COLUMNS")), Number(getenv("LINES"))];
+    return !width && !height ? [50, 10] : [width, height];
+  },
+
+  watchResize: (listener) => {
+    signal(SIGWINCH, listener);
+    return () => signal(SIGWINCH, null);
+  },
+
+  isInteractive: () => isatty(0) && isatty(1),
+};
+
+/** @type {TerminalBackend} */
+let backend = ttyBackend;
+
+/**
+ * Replaces the terminal backend, e.g. with a VirtualTerminal for tests.
+ *
+ * @param {TerminalBackend|null} terminalBackend - The new backend, or null to go back to the tty.
+ */
+const setTerminalBackend = (terminalBackend) => {
+  backend = terminalBackend ?? ttyBackend;
+};
+
+/**
+ * Writes text (and escape sequences) to the terminal through the current backend.
+ *
+ * @param {string} text
+ */
+const writeToTerminal = (text) => backend.write(text);
+
+/**
+ * Tells whether the terminal is interactive: both the input and the output are a terminal (or a virtual one),
+ * so escape sequences are shown and queries get answered.
+ *
+ * @returns {boolean}
+ */
+const isInteractiveTerminal = () => backend.isInteractive();
+
+/* Parsers reading the input. The backend has a single reader, shared by all of them: the input goes to the
+   last one, so a stream opened from a key handler (a dialog) takes the input until it's closed. */
+const inputReaders = [];
+let stopReadingInput = null;
+
+/**
+ * Starts reading the terminal input without blocking, feeding every chunk to the parser.
+ * While readers are nested, only the last one started gets the input.
+ *
+ * @param {InputParser} parser
+ * @param {() => void} onEnd - Called when the input is closed.
+ * @returns {() => void} A function that stops reading.
+ */
+const readInput = (parser, onEnd) => {
+  const reader = { parser, onEnd };
+  inputReaders.push(reader);
+  stopReadingInput ??= backend.readInput(
+    (text) => inputReaders.at(-1)?.parser.feed(text),
+    () => {
+      stopReadingInput = null;
+      for (const { parser, onEnd } of inputReaders.splice(0)) {
+        parser.reset();
+        onEnd();
+      }
+    },
+  );
+  return () => {
+    const index = inputReaders.indexOf(reader);
+    if (index === -1) return;
+    inputReaders.splice(index, 1);
+    parser.reset();
+    if (!inputReaders.length && stopReadingInput) {
+      stopReadingInput();
+      stopReadingInput = null;
+    }
+  };
+};
+
+/**
+ * @typedef {Object} MouseEvent
+ * @property {"press"|"release"|"drag"|"wheel"} action
+ * @property {"left"|"middle"|"right"|"none"|"back"|"forward"|"wheelUp"|"wheelDown"|"wheelLeft"|"wheelRight"} button
+ * @property {{shift: boolean, alt: boolean, ctrl: boolean}} modifiers
+ * @property {number} column - 1-based column of the pointer.
+ * @property {number} row - 1-based row of the pointer.
+ */
+
+/**
+ * Decodes an SGR (1006) mouse report such as "\x1b[<0;12;5M".
+ *
+ * @param {string} sequence
+ * @returns {MouseEvent|null} The decoded event, or null if the sequence is not a mouse report.
+ */
+const decodeMouseEvent = (sequence) => {
+  const match = sequence.match(/^\x1b\[<(\d+);(\d+);(\d+)([Mm])$/);
+  if (!match) return null;
+  const [, code, column, row, final] = match;
+  const buttonCode = Number(code);
+  const buttonIndex = buttonCode & 3;
+
+  let action, button;
+  if (buttonCode & 64) {
+    action = "wheel";
+    button = ["wheelUp", "wheelDown", "wheelLeft", "wheelRight"][buttonIndex];
+  } else {
+    action = final === "m" ? "release" : buttonCode & 32 ? "drag" : "press";
+    button = buttonCode & 128
+      ? ["back", "forward", "none", "none"][buttonIndex]
+      : ["left", "middle", "right", "none"][buttonIndex];
+  }
+
+  return {
+    action,
+    button,
+    modifiers: {
+      shift: Boolean(buttonCode & 4),
+      alt: Boolean(buttonCode & 8),
+      ctrl: Boolean(buttonCode & 16),
+    },
+    column: Number(column),
+    row: Number(row),
+  };
+};
+
+const mouseHandlerKeys = {
+  press: keySequences.MousePress,
+  release: keySequences.MouseRelease,
+  drag: keySequences.MouseDrag,
+  wheelUp: keySequences.WheelUp,
+  wheelDown: keySequences.WheelDown,
+  wheelLeft: keySequences.WheelLeft,
+  wheelRight: keySequences.WheelRight,
+};
+
+const getMouseHandler = (keysAndCb, event) =>
+  keysAndCb[
+    mouseHandlerKeys[event.action === "wheel" ? event.button : event.action]
+  ] ?? keysAndCb[keySequences.Mouse];
+
+/* xterm modifyOtherKeys (level 2) and the kitty keyboard protocol ("disambiguate escape codes") */
+const enableExtendedKeys = "\x1b[>4;2m\x1b[>1u";
+const disableExtendedKeys = "\x1b[<u\x1b[>4m";
+
+/* Bit order of the xterm modifier parameter (value - 1) */
+const modifierBits = ["Shift", "Alt", "Ctrl", "Super", "Hyper", "Meta"];
+/* Order of the modifiers in a normalized key name */
+const modifierOrder = ["Ctrl", "Alt", "Shift", "Super", "Hyper", "Meta"];
+
+const modifierAliases = {
+  ctrl: "Ctrl",
+  control: "Ctrl",
+  alt: "Alt",
+  option: "Alt",
+  shift: "Shift",
+  super: "Super",
+  cmd: "Super",
+  hyper: "Hyper",
+  meta: "Meta",
 };
 
+/* Keys identified by the final byte of a CSI or SS3 sequence */
+const finalByteKeys = {
+  A: "ArrowUp",
+  B: "ArrowDown",
+  C: "ArrowRight",
+  D: "ArrowLeft",
+  E: "Begin",
+  H: "Home",
+  F: "End",
+  P: "F1",
+  Q: "F2",
+  R: "F3",
+  S: "F4",
+  Z: "Tab",
+};
+
+/* Keys identified by the first parameter of a "CSI n ~" sequence */
+const tildeKeys = {
+  1: "Home",
+  2: "Insert",
+  3: "Delete",
+  4: "End",
+  5: "PageUp",
+  6: "PageDown",
+  7: "Home",
+  8: "End",
+  11: "F1",
+  12: "F2",
+  13: "F3",
+  14: "F4",
+  15: "F5",
+  17: "F6",
+  18: "F7",
+  19: "F8",
+  20: "F9",
+  21: "F10",
+  23: "F11",
+  24: "F12",
+};
+
+/* Keys reported by code point in modifyOtherKeys and CSI u sequences */
+const codePointKeys = {
+  8: "Backspace",
+  9: "Tab",
+  13: "Enter",
+  27: "Escape",
+  32: "Space",
+  127: "Backspace",
+};
+
+/*
+ * Functional keys of the kitty keyboard protocol, reported by Private Use Area code points in CSI u sequences.
+ * Keypad keys are named after the character or the key they stand for, like on the application keypad below.
+ */
+const functionalKeys = {
+  57358: "CapsLock",
+  57359: "ScrollLock",
+  57360: "NumLock",
+  57361: "PrintScreen",
+  57362: "Pause",
+  57363: "ContextMenu",
+  ...Object.fromEntries(Array.from({ length: 23 }, (_, index) => [57376 + index, `F${13 + index}`])),
+  ...Object.fromEntries([..."0123456789./*-+"].map((char, index) => [57399 + index, char])),
+  ...Object.fromEntries(
+    [
+      "Enter", "=", ",", "ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "PageUp", "PageDown", "Home", "End",
+      "Insert", "Delete", "Begin", "MediaPlay", "MediaPause", "MediaPlayPause", "MediaReverse", "MediaStop",
+      "MediaFastForward", "MediaRewind", "MediaTrackNext", "MediaTrackPrevious", "MediaRecord", "AudioVolumeDown",
+      "AudioVolumeUp", "AudioVolumeMute", "ShiftLeft", "CtrlLeft", "AltLeft", "SuperLeft", "HyperLeft", "MetaLeft",
+      "ShiftRight", "CtrlRight", "AltRight", "SuperRight", "HyperRight", "MetaRight", "AltGraph", "Level5Shift",
+    ].map((key, index) => [57414 + index, key]),
+  ),
+};
+
+/* Keys of the application keypad, by the final byte of their SS3 sequence ("\x1bOM" is the keypad Enter) */
+const keypadKeys = {
+  M: "Enter",
+  X: "=",
+  ...Object.fromEntries([..."*+,-./0123456789"].map((char, index) => [String.fromCharCode(0x6a + index), char])),
+};
+
+/* Names of the fixed single-byte sequences from keySequences ("\r" is Enter rather than Ctrl+M) */
+const legacyKeyNames = Object.entries(keySequences).reduce(
+  (names, [name, sequence]) => {
+    if (sequence.length === 1 && !names[sequence]) names[sequence] = name;
+    return names;
+  },
+  { "\x00": "Ctrl+Space", "\x1b[Z": "Shift+Tab" },
+);
+
+/* Canonical spelling of the multi-character key names, by lower-cased name */
+const canonicalKeyNames = [
+  ...Object.keys(keySequences),
+  ...Object.values(finalByteKeys),
+  ...Object.values(tildeKeys),
+  ...Object.values(codePointKeys),
+  ...Object.values(functionalKeys),
+].reduce((names, name) => {
+  names[name.toLowerCase()] = name;
+  return names;
+}, {});
+
+const formatKeyName = (modifiers, key) => {
+  const base = modifiers.includes("Ctrl") && /^[a-z]$/.test(key)
+    ? key.toUpperCase()
+    : key;
+  return [...modifierOrder.filter((modifier) => modifiers.includes(modifier)), base]
+    .join("+");
+};
+
+/**
+ * Splits a key name like "ctrl+shift+ArrowUp" into its modifiers and base key.
+ *
+ * @param {string} name
+ * @returns {{modifiers: string[], key: string}}
+ */
+const parseKeyName = (name) => {
+  const modifiers = [];
+  let key = name;
+  let match;
+  while (
+    (match = key.match(/^([a-z]+)\+(.+)$/i)) &&
+    modifierAliases[match[1].toLowerCase()]
+  ) {
+    modifiers.push(modifierAliases[match[1].toLowerCase()]);
+    key = match[2];
+  }
+  if (key.length > 1) key = canonicalKeyNames[key.toLowerCase()] ?? key;
+  if (key === "ShiftTab") {
+    modifiers.push("Shift");
+    key = "Tab";
+  }
+  return { modifiers, key };
+};
+
+/**
+ * Normalizes a key name, e.g. "shift+ctrl+ArrowUp" becomes "Ctrl+Shift+ArrowUp" and "Ctrl+a" becomes "Ctrl+A".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeKeyName = (name) => {
+  const { modifiers, key } = parseKeyName(name);
+  return formatKeyName(modifiers, key);
+};
+
+const decodeModifiers = (parameter) => {
+  const mask = Math.max(parseInt(parameter || "1", 10) - 1, 0);
+  return modifierBits.filter((_, bit) => mask & (1 << bit));
+};
+
+const decodeCodePoint = (codePoint, modifiers) => {
+  const key = codePointKeys[codePoint] ?? functionalKeys[codePoint] ?? String.fromCodePoint(codePoint);
+  // Shift alone on a printable character is just the shifted character
+  if (modifiers.length === 1 && modifiers[0] === "Shift" && [...key].length === 1) {
+    return key.toUpperCase();
+  }
+  return formatKeyName(modifiers, key);
+};
+
+const decodeControlSequence = (parameters, final) => {
+  const [first = "", second = "", third = ""] = parameters.split(";");
+  const modifiers = decodeModifiers(second.split(":")[0]);
+
+  if (final === "u") {
+    return decodeCodePoint(parseInt(first.split(":")[0], 10), modifiers);
+  }
+  if (final === "~" && first === "27" && third) {
+    return decodeCodePoint(parseInt(third, 10), modifiers);
+  }
+  // "CSI row;column R" is a cursor position report; only row 1 can be a modified F3
+  if (final === "R" && second && first !== "1") return null;
+  const key = final === "~" ? tildeKeys[first] : finalByteKeys[final];
+  if (!key) return null;
+  if (final === "Z" && !modifiers.includes("Shift")) modifiers.push("Shift");
+  return formatKeyName(modifiers, key);
+};
+
+/**
+ * Decodes an input sequence into a normalized key name.
+ *
+ * Understands the fixed sequences from keySequences, xterm modifier parameters ("\x1b[1;5A"),
+ * modifyOtherKeys ("\x1b[27;5;13~"), CSI u / kitty keyboard protocol ("\x1b[97;7u", functional keys like "\x1b[57376u"
+ * for F13), the application keypad ("\x1bOM" for its Enter) and Alt as an Escape prefix ("\x1bx").
+ * With a terminfo entry in use (see useTerminfo in terminfo.js), the key sequences of the entry come first.
+ *
+ * @param {string} sequence - A complete input sequence.
+ * @returns {string|null} A name like "Ctrl+Shift+ArrowUp", "Alt+x" or "Enter", or null if the sequence is not a key.
+ *
+ * @example
+ * decodeKey("\x1b[1;6A") // => "Ctrl+Shift+ArrowUp"
+ * decodeKey("\x1bx")     // => "Alt+x"
+ * decodeKey("\x1b[15;2~") // => "Shift+F5"
+ */
+const decodeKey = (sequence) => {
+  if (!sequence) return null;
+  const terminfoName = getTerminfo()?.keyNames[sequence];
+  if (terminfoName) return normalizeKeyName(terminfoName);
+  if (legacyKeyNames[sequence]) return legacyKeyNames[sequence];
+
+  // Linux console function keys, "\x1b[[A" to "\x1b[[E"
+  const consoleKey = sequence.match(/^\x1b\[\[([A-E])$/);
+  if (consoleKey) return `F${consoleKey[1].charCodeAt(0) - 64}`;
+
+  const keypadSequence = sequence.match(/^\x1bO(\d*)([MXj-y])$/);
+  if (keypadSequence) return formatKeyName(decodeModifiers(keypadSequence[1]), keypadKeys[keypadSequence[2]]);
+
+  const controlSequence = sequence.match(/^\x1b[\[O]([\d;:]*)([A-Za-z~])$/);
+  if (controlSequence) {
+    return decodeControlSequence(controlSequence[1], controlSequence[2]);
+  }
+
+  if (sequence[0] === "\x1b" && sequence.length > 1) {
+    const key = decodeKey(sequence.slice(1));
+    if (!key) return null;
+    const { modifiers, key: base } = parseKeyName(key);
+    return formatKeyName([...modifiers, "Alt"], base);
+  }
+
+  // Any other input is a typed character (a whole grapheme cluster); longer text, like a key name, is not a key
+  return sequence[0] !== "\x1b" && graphemes(sequence).length === 1 ? sequence : null;
+};
+
+/* Sequences of the unmodified named keys, by key name */
+const namedKeySequences = Object.entries(keySequences).reduce(
+  (sequences, [name, sequence]) => {
+    if (sequence !== name && !name.includes("+")) sequences[name] = sequence;
+    return sequences;
+  },
+  { Begin: "\x1b[E" },
+);
+
+/* Reverse lookups of finalByteKeys (without Tab, whose "Z" only stands for Shift+Tab), tildeKeys and codePointKeys */
+const keyFinalBytes = Object.entries(finalByteKeys).reduce((bytes, [byte, key]) => {
+  if (key !== "Tab") bytes[key] ??= byte;
+  return bytes;
+}, {});
+const keyTildeCodes = Object.entries(tildeKeys).reduce((codes, [code, key]) => {
+  codes[key] ??= code;
+  return codes;
+}, {});
+const keyCodePoints = Object.entries(codePointKeys).reduce((codePoints, [codePoint, key]) => {
+  codePoints[key] = codePoint;
+  return codePoints;
+}, {});
+/* Code points of the functional keys that have no other encoding, like F13 or MediaPlay */
+const functionalKeyCodePoints = Object.entries(functionalKeys).reduce((codePoints, [codePoint, key]) => {
+  if (key.length > 1 && !keyFinalBytes[key] && !keyTildeCodes[key] && !keyCodePoints[key]) codePoints[key] = codePoint;
+  return codePoints;
+}, {});
+
+/**
+ * Encodes a key the way a terminal without an extended keyboard protocol would, or returns null for keys
+ * that need a modifier parameter.
+ */
+const encodeLegacyKey = (modifiers, key) => {
+  if (!modifiers.length) return key.length === 1 ? key : namedKeySequences[key] ?? null;
+  if (modifiers.length === 1 && modifiers[0] === "Ctrl") {
+    if (/^[a-z]$/i.test(key)) return String.fromCharCode(key.toUpperCase().charCodeAt(0) - 64);
+    if (key === "Space") return "\x00";
+  }
+  if (modifiers.length === 1 && modifiers[0] === "Shift") {
+    if (key === "Tab") return keySequences.ShiftTab;
+    if (key.length === 1 && key.toUpperCase() !== key) return key.toUpperCase();
+  }
+  if (modifiers.includes("Alt")) {
+    const sequence = encodeLegacyKey(modifiers.filter((modifier) => modifier !== "Alt"), key);
+    if (sequence && sequence[0] !== "\x1b") return "\x1b" + sequence;
+  }
+  return null;
+};
+
+/**
+ * Encodes a key name into the input sequence a terminal sends for it, the inverse of decodeKey.
+ *
+ * Keys with modifiers get the legacy encoding where there is one (control characters, Escape prefix for Alt),
+ * then xterm modifier parameters, and CSI u for the rest.
+ *
+ * @param {string} name - A key name like "Enter", "Ctrl+ArrowUp", "Alt+x" or a typed character.
+ * @returns {string}
+ *
+ * @example
+ * encodeKey("Ctrl+Shift+ArrowUp") // => "\x1b[1;6A"
+ * encodeKey("Alt+x")              // => "\x1bx"
+ * encodeKey("Ctrl+Enter")         // => "\x1b[13;5u"
+ */
+const encodeKey = (name) => {
+  const { modifiers, key } = parseKeyName(name);
+  const legacySequence = encodeLegacyKey(modifiers, key);
+  if (legacySequence) return legacySequence;
+  if (!modifiers.length) return functionalKeyCodePoints[key] ? `\x1b[${functionalKeyCodePoints[key]}u` : key;
+
+  const mask = modifierBits.reduce(
+    (mask, modifier, bit) => modifiers.includes(modifier) ? mask | (1 << bit) : mask,
+    0,
+  ) + 1;
+  if (keyFinalBytes[key]) return `\x1b[1;${mask}${keyFinalBytes[key]}`;
+  if (keyTildeCodes[key]) return `\x1b[${keyTildeCodes[key]};${mask}~`;
+  const codePoint = keyCodePoints[key] ?? functionalKeyCodePoints[key] ?? key.toLowerCase().codePointAt(0);
+  return `\x1b[${codePoint};${mask}u`;
+};
+
+/**
+ * Indexes the handlers by normalized key name, so that a handler registered for a raw sequence
+ * (e.g. keySequences.Enter) also matches the same key reported by an extended keyboard protocol.
+ */
+const getNamedHandlers = (keysAndCb) =>
+  Object.keys(keysAndCb).reduce((namedHandlers, key) => {
+    if (key.trim().includes(" ")) return namedHandlers; // chord bindings
+    const name = decodeKey(key) ?? normalizeKeyName(key);
+    namedHandlers[name] ??= keysAndCb[key];
+    return namedHandlers;
+  }, {});
+
 const mapCapitalLetterKeys = (keysAndCb) => {
   const capitalLettersCb = keysAndCb[keySequences.capitalLetters];
   for (let i = 65; i < 90; i++) {
@@ -102,6 +658,307 @@ const mapNumberkeys = (keysAndCb) => {
   delete keysAndCb[keySequences.numbers];
 };
 
+/* Focus reporting (1004): the terminal sends "\x1b[I" on focus in and "\x1b[O" on focus out */
+const enableFocusReporting = "\x1b[?1004h";
+const disableFocusReporting = "\x1b[?1004l";
+
+/**
+ * @typedef {Object} KeyEvent
+ * @property {"key"} type
+ * @property {string} sequence - The raw input sequence.
+ * @property {string|null} name - The normalized key name (see decodeKey).
+ */
+
+/**
+ * @typedef {Object} PasteEvent
+ * @property {"paste"} type
+ * @property {string} text - The pasted text, verbatim.
+ */
+
+/**
+ * @typedef {{type: "mouse"} & MouseEvent} MouseInputEvent
+ */
+
+/**
+ * @typedef {Object} ResizeEvent
+ * @property {"resize"} type
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} FocusEvent
+ * @property {"focus"} type
+ * @property {boolean} focused - Whether the terminal window gained or lost the focus.
+ */
+
+/**
+ * @typedef {Object} ResponseEvent
+ * @property {"response"} type
+ * @property {string} sequence - A reply to a terminal query (OSC, DCS or APC string, or a private CSI report).
+ */
+
+/**
+ * @typedef {KeyEvent|PasteEvent|MouseInputEvent|ResizeEvent|FocusEvent|ResponseEvent} TerminalEvent
+ */
+
+/**
+ * Turns a token from the input parser into a typed event.
+ *
+ * @param {import("./inputParser.js").InputToken} token
+ * @returns {TerminalEvent}
+ */
+const toTerminalEvent = ({ kind, sequence }) => {
+  if (kind === "paste") return { type: "paste", text: sequence };
+  if (kind === "string") return { type: "response", sequence };
+  if (sequence === "\x1b[I" || sequence === "\x1b[O") {
+    return { type: "focus", focused: sequence === "\x1b[I" };
+  }
+  if (sequence.startsWith(mouseSequencePrefix)) {
+    const event = decodeMouseEvent(sequence);
+    if (event) return { type: "mouse", ...event };
+  }
+  // Private-parameter reports such as DA1 ("\x1b[?64;4c") and DECRPM ("\x1b[?2026;2$y"), and cursor position
+  // reports ("\x1b[12;40R") past row 1, where they can't be a modified F3
+  if (/^\x1b\[[?>=]/.test(sequence) || /^\x1b\[.*\$y$/.test(sequence) || /^\x1b\[(?!1;)\d+;\d+R$/.test(sequence)) {
+    return { type: "response", sequence };
+  }
+  return { type: "key", sequence, name: decodeKey(sequence) };
+};
+
+/**
+ * @typedef {Object} TerminalEventsOptions
+ * @property {boolean} [mouse=false] - Enable SGR mouse reporting.
+ * @property {boolean} [focus=false] - Enable focus in / focus out reporting.
+ * @property {boolean} [extendedKeys=false] - Ask for modifyOtherKeys / kitty keyboard protocol reports.
+ * @property {number} [escapeTimeout=50] - Milliseconds to wait after an Escape before treating it as a key press.
+ */
+
+/**
+ * Reads the terminal input as a stream of typed events.
+ *
+ * Input is read without blocking (through `os.setReadHandler`), so timers, spinners and subprocesses keep
+ * running while waiting for the next event. Events that arrive while the consumer is busy are buffered.
+ * Bracketed paste (and the reporting modes asked for in the options) stay enabled until the loop is left.
+ *
+ * @param {TerminalEventsOptions} [options]
+ * @returns {AsyncGenerator<TerminalEvent, void, undefined>}
+ *
+ * @example
+ * for await (const event of terminalEvents({ mouse: true })) {
+ *   if (event.type === "key" && event.name === "Enter") break;
+ *   if (event.type === "paste") print("pasted", event.text);
+ *   if (event.type === "mouse") print(event.action, event.column, event.row);
+ *   if (event.type === "resize") print(`${event.width}x${event.height}`);
+ * }
+ */
+const terminalEvents = async function* (options = {}) {
+  const stream = openEventStream(options);
+  try {
+    let event;
+    while ((event = await stream.next())) yield event;
+  } finally {
+    stream.close();
+  }
+};
+
+/* Input modes an event stream switches on, with the option that asks for each (bracketed paste is always on) */
+const reportingModes = [
+  { option: null, enable: enableBracketedPaste, disable: disableBracketedPaste },
+  { option: "mouse", enable: enableMouseReporting, disable: disableMouseReporting },
+  { option: "focus", enable: enableFocusReporting, disable: disableFocusReporting },
+  { option: "extendedKeys", enable: enableExtendedKeys, disable: disableExtendedKeys },
+];
+
+/**
+ * Starts reading the terminal input into a queue of typed events.
+ *
+ * @param {TerminalEventsOptions} options
+ * @returns {{next: () => Promise<TerminalEvent|null>, push: (event: object) => void, close: () => void}}
+ * `next` resolves with the next event, or null once the input is closed; `push` queues an event of the caller's own.
+ */
+const openEventStream = (options) => {
+  const events = unclaimedEvents.splice(0);
+  let ended = false;
+  let closed = false;
+  let wake = null;
+  const push = (event) => {
+    if (claimReply(event)) return;
+    events.push(event);
+    wake?.();
+  };
+
+  const parser = new InputParser((token) => push(toTerminalEvent(token)), {
+    escapeTimeout: options.escapeTimeout,
+  });
+
+  // The reporting modes are shared with the streams already open: a mode is switched on by the first stream
+  // that asks for it, and off once no open stream does
+  const modes = reportingModes.filter(({ option }) => !option || options[option]);
+  const isUsed = (mode) => openStreams.some((streamModes) => streamModes.includes(mode));
+  for (const mode of modes) if (!isUsed(mode)) writeToTerminal(mode.enable);
+  openStreams.push(modes);
+  updateQueryReader();
+  const stopReading = readInput(parser, () => {
+    ended = true;
+    wake?.();
+  });
+  const stopResize = onResize(([width, height]) =>
+    push({ type: "resize", width, height })
+  );
+  // Also switch the reporting modes off when the terminal is restored after an error or a signal
+  const removeRestoreHook = onTerminalRestore(() => close());
+
+  const close = () => {
+    if (closed) return;
+    closed = ended = true;
+    events.length = 0;
+    wake?.();
+    removeRestoreHook();
+    stopResize();
+    stopReading();
+    openStreams.splice(openStreams.indexOf(modes), 1);
+    updateQueryReader();
+    for (const mode of [...modes].reverse()) if (!isUsed(mode)) writeToTerminal(mode.disable);
+  };
+
+  return {
+    push,
+    next: async () => {
+      while (!events.length && !ended) {
+        await new Promise((resolve) => wake = resolve);
+        wake = null;
+      }
+      return events.shift() ?? null;
+    },
+    close,
+  };
+};
+
+/**
+ * @typedef {Object} TerminalQuery
+ * @property {string} request - The query sequence to write.
+ * @property {RegExp} reply - Matches the reply to the query.
+ */
+
+/* Events read while waiting for replies with no event stream open, handed to the next stream */
+const unclaimedEvents = [];
+/** @type {Set<(sequence: string) => boolean>} */
+const replyWaiters = new Set();
+/** @type {Array<typeof reportingModes>} The reporting modes of each open event stream */
+const openStreams = [];
+let stopQueryReader = null;
+
+/**
+ * Hands a reply to the query waiting for it.
+ *
+ * @param {TerminalEvent} event
+ * @returns {boolean} Whether the event was a reply to a query.
+ */
+const claimReply = (event) => {
+  if (event.type !== "key" && event.type !== "response") return false;
+  for (const claim of replyWaiters) {
+    if (claim(event.sequence)) return true;
+  }
+  return false;
+};
+
+/* Reads the input while replies are awaited and no event stream is open to read them */
+const updateQueryReader = () => {
+  const needed = replyWaiters.size > 0 && openStreams.length === 0;
+  if (needed && !stopQueryReader) {
+    const parser = new InputParser((token) => {
+      const event = toTerminalEvent(token);
+      if (!claimReply(event)) unclaimedEvents.push(event);
+    });
+    stopQueryReader = readInput(parser, () => stopQueryReader = null);
+  } else if (!needed && stopQueryReader) {
+    stopQueryReader();
+    stopQueryReader = null;
+  }
+};
+
+/**
+ * Writes queries to the terminal and waits for their replies.
+ *
+ * Replies are picked out of the input whether or not an event stream (handleKeysPress, terminalEvents) is reading it,
+ * and anything else typed in the meantime is kept for the application. Terminals answer queries in order, so once
+ * the reply to the last query arrives, the queries still unanswered are taken as unsupported. Ending the list with a
+ * query every terminal answers, such as primary device attributes ("\x1b[c"), avoids waiting for the timeout.
+ *
+ * @param {TerminalQuery[]} queries
+ * @param {object} [options]
+ * @param {number} [options.timeout=500] - Milliseconds to wait for the replies.
+ * @returns {Promise<Array<RegExpMatchArray|null>>} The match of each reply, or null for the queries left unanswered.
+ *
+ * @example
+ * const [version] = await queryTerminal([
+ *   { request: "\x1b[>0q", reply: /^\x1bP>\|(.*)\x1b\\$/ },
+ *   { request: "\x1b[c", reply: /^\x1b\[\?[\d;]*c$/ },
+ * ]);
+ * print(version?.[1] ?? "unknown terminal");
+ */
+const queryTerminal = (queries, options = {}) =>
+  new Promise((resolve) => {
+    const matches = queries.map(() => null);
+    if (!queries.length || !isInteractiveTerminal()) return resolve(matches);
+
+    const finish = () => {
+      clearTimeout(timer);
+      replyWaiters.delete(claim);
+      updateQueryReader();
+      resolve(matches);
+    };
+    const claim = (sequence) => {
+      const index = queries.findIndex(({ reply }, index) =>
+        matches[index] === null && reply.test(sequence)
+      );
+      if (index === -1) return false;
+      matches[index] = sequence.match(queries[index].reply);
+      if (index === queries.length - 1 || matches.every(Boolean)) finish();
+      return true;
+    };
+    const timer = setTimeout(finish, options.timeout ?? 500);
+    replyWaiters.add(claim);
+    updateQueryReader();
+    writeToTerminal(queries.map(({ request }) => request).join(""));
+  });
+
+/**
+ * Splits a chord binding like "g g", "Ctrl+X Ctrl+S" or "Leader f" into normalized key names.
+ *
+ * @param {string} binding
+ * @param {string} [leader] - The key name that "Leader" stands for.
+ * @returns {string[]|null} The key names, or null if the binding is a single key.
+ */
+const parseChord = (binding, leader) => {
+  const keys = binding.trim().split(/\s+/);
+  if (keys.length < 2) return null;
+  return keys.map((key) =>
+    key.toLowerCase() === "leader" && leader
+      ? normalizeKeyName(leader)
+      : decodeKey(key) ?? normalizeKeyName(key)
+  );
+};
+
+/**
+ * Collects the chord bindings of a handler map.
+ *
+ * @returns {{chords: Map<string, Function>, prefixes: Set<string>}} The handlers by space-joined key names,
+ * and every incomplete prefix of those chords.
+ */
+const getChords = (keysAndCb, leader) => {
+  const chords = new Map();
+  const prefixes = new Set();
+  for (const binding of Object.keys(keysAndCb)) {
+    const keys = parseChord(binding, leader);
+    if (!keys) continue;
+    chords.set(keys.join(" "), keysAndCb[binding]);
+    for (let i = 1; i < keys.length; i++) prefixes.add(keys.slice(0, i).join(" "));
+  }
+  return { chords, prefixes };
+};
+
 /**
  * @callback QuitFunction
  * A function that, when called, exits the key handling loop.
@@ -109,18 +966,60 @@ const mapNumberkeys = (keysAndCb) => {
 
 /**
  * @callback KeyHandler
+ * @param {string} key - The input sequence that triggered the handler.
+ * @param {QuitFunction} quit - A function to exit the key handling loop.
+ * @param {string|null} name - The normalized key name (see decodeKey).
+ */
+
+/**
+ * @callback MouseHandler
+ * @param {MouseEvent} event - The decoded mouse event.
+ * @param {QuitFunction} quit - A function to exit the key handling loop.
+ */
+
+/**
+ * @callback PasteHandler
+ * @param {string} text - The pasted text, including any newlines.
  * @param {QuitFunction} quit - A function to exit the key handling loop.
  */
 
 /**
- * @typedef {Object.<string, KeyHandler>} KeyHandlers
+ * @callback ResizeHandler
+ * @param {[number, number]} size - The new width and height of the terminal.
+ * @param {QuitFunction} quit - A function to exit the key handling loop.
+ */
+
+/**
+ * @callback ChordHandler
+ * @param {string} chord - The completed chord as normalized key names, e.g. "Ctrl+X Ctrl+S".
+ * @param {QuitFunction} quit - A function to exit the key handling loop.
+ */
+
+/**
+ * @callback ChordPendingHandler
+ * @param {string[]} keys - Names of the keys typed so far, e.g. ["Ctrl+X"], or [] when no chord is pending.
+ * @param {QuitFunction} quit - A function to exit the key handling loop.
+ */
+
+/**
+ * @typedef {Object.<string, KeyHandler|MouseHandler|PasteHandler|ResizeHandler|ChordHandler|ChordPendingHandler>} KeyHandlers
  * An object mapping key sequences to their corresponding handler functions.
  */
 
+/**
+ * @typedef {Object} KeysPressOptions
+ * @property {boolean} [mouse=false] - Enable SGR mouse reporting and route mouse events to the mouse handlers.
+ * @property {number} [escapeTimeout=50] - Milliseconds to wait after an Escape before treating it as a key press rather than the start of a sequence.
+ * @property {boolean} [extendedKeys=false] - Ask the terminal for modifyOtherKeys / kitty keyboard protocol reports, so keys like Ctrl+Enter can be told apart.
+ * @property {number} [chordTimeout=1000] - Milliseconds to wait for the next key of a chord.
+ * @property {string} [leader] - Key name that "Leader" stands for in chord bindings, e.g. "Space" or ",".
+ */
+
 /**
  * Sets up a key press handler for the specified key sequences.
  *
  * @param {KeyHandlers} keysAndCb - An object where keys are key sequences (either from keySequences or custom strings) and values are handler functions.
+ * @param {KeysPressOptions} [options]
  *
  * @example
  * handleKeysPress({
@@ -129,17 +1028,49 @@ const mapNumberkeys = (keysAndCb) => {
  *   [keySequences.Enter]: (quit) => { console.log('Enter pressed'); quit(); }
  * });
  *
+ * @example
+ * handleKeysPress({
+ *   'Ctrl+Shift+ArrowUp': () => console.log('Ctrl+Shift+Up pressed'),
+ *   'Alt+x': () => console.log('Alt+x pressed'),
+ * }, { extendedKeys: true });
+ *
+ * @example
+ * handleKeysPress({
+ *   'g g': () => console.log('go to top'),
+ *   'Ctrl+X Ctrl+S': () => console.log('save'),
+ *   'Leader f': () => console.log('find'),
+ *   [keySequences.ChordPending]: (keys) => console.log(keys.join(' ')),
+ * }, { leader: 'Space' });
+ *
+ * @example
+ * handleKeysPress({
+ *   [keySequences.MousePress]: (event) => console.log(event.button, event.column, event.row),
+ *   [keySequences.WheelDown]: () => console.log('scrolled down'),
+ * }, { mouse: true });
+ *
  * @description
- * - The function sets the terminal to raw mode for direct key input.
- * - It continuously reads input until the quit function is called.
+ * - The terminal is expected to be in raw mode for direct key input (see enterTerminalSession).
+ * - It reads the events from terminalEvents until the quit function is called. Handlers run one at a time, in input order.
  * - Each key handler receives a `quit` function as an argument, which can be called to exit the handling loop.
- * - The Escape key is treated specially: pressing it twice will terminate the key press handler if no specific Escape handler is provided.
+ * - A single Escape press fires the Escape handler once `escapeTimeout` has passed without the rest of a sequence.
+ *   Without an Escape handler, Escape terminates the key press handler.
+ * - Without a Ctrl+C handler, Ctrl+C restores the terminal (see terminalSession.js) and exits with status 130.
  * - For other keys, their corresponding handler functions are called when the key sequence is matched.
+ * - Handler keys can also be key names like "Ctrl+ArrowUp", "Alt+x" or "Shift+F5" (see decodeKey), which match
+ *   the key whichever encoding the terminal uses for it.
+ * - With `options.mouse`, SGR mouse reporting is enabled until the loop exits. Mouse events are passed to the
+ *   handler of their action (`MousePress`, `MouseRelease`, `MouseDrag`, `WheelUp`, ...) or to the `Mouse` handler.
+ * - Bracketed paste mode is enabled while the handlers are active. Pasted text is passed as a whole to the `Paste`
+ *   handler (or the `default` handler when there is none) instead of being run through the key map.
+ * - With a `Resize` handler, terminal resizes are delivered in order with the keys, along with the new size.
+ * - Handler keys made of several space-separated key names ("g g", "Ctrl+X Ctrl+S", "Leader f") are chords.
+ *   While a chord is unfinished, the `ChordPending` handler gets the keys typed so far. When the next key doesn't
+ *   continue the chord or `chordTimeout` passes, the buffered keys are delivered to their own handlers. A resize,
+ *   paste or mouse event ends the chord the same way, and is handled after those keys.
  */
-const handleKeysPress = async (keysAndCb) => {
+const handleKeysPress = async (keysAndCb, options = {}) => {
   let exit = false;
   const quit = () => exit = true;
-  let escapeSequence = "";
   let keys = Object.keys(keysAndCb);
   if (keys.includes(keySequences.capitalLetters)) {
     mapCapitalLetterKeys(keysAndCb);
@@ -147,28 +1078,124 @@ const handleKeysPress = async (keysAndCb) => {
   if (keys.includes(keySequences.smallLetters)) mapSmallLetterKeys(keysAndCb);
   if (keys.includes(keySequences.numbers)) mapNumberkeys(keysAndCb);
   keys = Object.keys(keysAndCb);
-  while (!exit) {
-    const input = stdin.readAsString(1);
-    escapeSequence += input;
-
-    if (escapeSequence === keySequences.Escape) {
-      const nextChar = stdin.readAsString(1);
-      if (nextChar === keySequences.Escape) {
-        keys.includes(keySequences.Escape)
-          ? await keysAndCb[keySequences.Escape](escapeSequence, quit)
-          : quit();
-      } else escapeSequence += nextChar;
-      continue;
+  const namedHandlers = getNamedHandlers(keysAndCb);
+
+  /** @param {TerminalEvent} event */
+  const dispatch = async (event) => {
+    switch (event.type) {
+      case "resize": {
+        const handler = keysAndCb[keySequences.Resize];
+        if (handler) await handler([event.width, event.height], quit);
+        return;
+      }
+
+      case "paste": {
+        const handler = keysAndCb[keySequences.Paste] ?? keysAndCb["default"];
+        if (handler) await handler(event.text, quit);
+        return;
+      }
+
+      case "mouse": {
+        const handler = options.mouse && getMouseHandler(keysAndCb, event);
+        if (handler) await handler(event, quit);
+        return;
+      }
+
+      case "key": {
+        const { sequence, name } = event;
+        const handler = keysAndCb[sequence] ?? namedHandlers[name];
+        if (handler) {
+          await handler(sequence, quit, name);
+        } else if (name === "Escape") {
+          quit();
+        } else if (name === "Ctrl+C") {
+          interrupt();
+        } else if (keys.includes("default")) {
+          // Characters sent as key codes (keypad keys, CSI u) reach it as the character, like typed ones
+          const isCharacter = name && graphemes(name).length === 1 && !isControl(name);
+          await keysAndCb["default"](isCharacter ? name : sequence);
+        }
+        return;
+      }
+    }
+  };
+
+  const { chords, prefixes } = getChords(keysAndCb, options.leader);
+  const chordTimeout = options.chordTimeout ?? 1000;
+  const stream = openEventStream(options);
+
+  /** @type {KeyEvent[]} */
+  let pending = [];
+  let chordTimer = null;
+  const setPending = async (events) => {
+    pending = events;
+    if (chordTimer !== null) clearTimeout(chordTimer);
+    chordTimer = events.length
+      ? setTimeout(() => stream.push({ type: "chordTimeout", events }), chordTimeout)
+      : null;
+    const handler = keysAndCb[keySequences.ChordPending];
+    if (handler) await handler(events.map((event) => event.name), quit);
+  };
+
+  // Delivers keys that turned out not to form a chord, one by one
+  const deliverKeys = async (events) => {
+    for (const event of events) {
+      if (exit) return;
+      await dispatch(event);
     }
+  };
 
-    if (keys.includes(escapeSequence)) {
-      await keysAndCb[escapeSequence](escapeSequence, quit);
-      escapeSequence = "";
-    } else if (keys.includes("default")) {
-      await keysAndCb["default"](escapeSequence)
-      escapeSequence = ""
+  /** @param {KeyEvent} event */
+  const dispatchChordKey = async (event) => {
+    if (!event.name) {
+      const buffered = pending;
+      if (buffered.length) await setPending([]);
+      return deliverKeys([...buffered, event]);
     }
-    escapeSequence = "";
+    const chord = [...pending, event].map(({ name }) => name).join(" ");
+    if (prefixes.has(chord)) return setPending([...pending, event]);
+    if (chords.has(chord)) {
+      await setPending([]);
+      return chords.get(chord)(chord, quit);
+    }
+    if (!pending.length) return dispatch(event);
+
+    // The chord was abandoned: deliver what was typed so far, then this key may start another chord
+    const buffered = pending;
+    await setPending([]);
+    await deliverKeys(buffered);
+    if (!exit) await dispatchChordKey(event);
+  };
+
+  // Ends the pending chord: runs it if it's complete (and the prefix of a longer one), or delivers its keys
+  const flushChord = async () => {
+    const events = pending;
+    await setPending([]);
+    const chord = events.map(({ name }) => name).join(" ");
+    chords.has(chord)
+      ? await chords.get(chord)(chord, quit)
+      : await deliverKeys(events);
+  };
+
+  const dispatchChordTimeout = async ({ events }) => {
+    if (events !== pending) return; // outdated timer
+    await flushChord();
+  };
+
+  try {
+    let event;
+    while (!exit && (event = await stream.next())) {
+      if (event.type === "chordTimeout") await dispatchChordTimeout(event);
+      else if (event.type === "key" && chords.size) await dispatchChordKey(event);
+      else {
+        // Keys typed before a resize, a paste or a click are handled before it
+        if (pending.length && ["resize", "paste", "mouse"].includes(event.type)) await flushChord();
+        if (!exit) await dispatch(event);
+      }
+    }
+  } finally {
+    if (chordTimer !== null) clearTimeout(chordTimer);
+    stream.close();
   }
 };
 
@@ -179,7 +1206,7 @@ const handleKeysPress = async (keysAndCb) => {
  * @returns {[number, number]} An array containing the width and height of the terminal in characters.
  *
  * @description
- * This function attempts to determine the size of the terminal window using the following methods:
+ * This function asks the current backend (see setTerminalBackend). The tty backend determines the size of the terminal window using the following methods:
  * 1. If the output is connected to a TTY (terminal), it uses the ttyGetWinSize function.
  * 2. If not connected to a TTY, it tries to read the COLUMNS and LINES environment variables.
  * 3. If neither method works, it returns a default size of [50, 10].
@@ -188,11 +1215,37 @@ const handleKeysPress = async (keysAndCb) => {
  * const [width, height] = getTerminalSize();
  * console.log(`Terminal size: ${width}x${height}`);
  */
-const getTerminalSize = () => {
-  const [width, height] = isatty(1)
-    ? ttyGetWinSize(1)
-    : [getenv("COULMNS"), getenv("LINES")];
-  return !width && !height ? [50, 10] : [width, height];
+const getTerminalSize = () => backend.getSize();
+
+const resizeListeners = new Set();
+let stopWatchingResize = null;
+
+const handleResize = () => {
+  const size = getTerminalSize();
+  for (const listener of resizeListeners) listener(size);
+};
+
+/**
+ * Subscribes to terminal resizes (SIGWINCH for the tty).
+ *
+ * @param {(size: [number, number]) => void} listener - Called with the new width and height after every resize.
+ * @returns {() => void} A function that unsubscribes the listener.
+ *
+ * @example
+ * const unsubscribe = onResize(([width, height]) => print(`Resized to ${width}x${height}`));
+ */
+const onResize = (listener) => {
+  if (resizeListeners.size === 0) {
+    stopWatchingResize = backend.watchResize(handleResize);
+  }
+  resizeListeners.add(listener);
+  return () => {
+    resizeListeners.delete(listener);
+    if (resizeListeners.size === 0 && stopWatchingResize) {
+      stopWatchingResize();
+      stopWatchingResize = null;
+    }
+  };
 };
 
 let count = 0;
@@ -205,4 +1258,18 @@ let count = 0;
 //   [keySequences.Backspace]: (key, quit) => { print('back!!'); quit() }
 // })
 
-export { getTerminalSize, handleKeysPress, keySequences };
+export {
+  decodeKey,
+  decodeMouseEvent,
+  encodeKey,
+  getTerminalSize,
+  handleKeysPress,
+  isInteractiveTerminal,
+  keySequences,
+  normalizeKeyName,
+  onResize,
+  queryTerminal,
+  setTerminalBackend,
+  terminalEvents,
+  writeToTerminal,
+};
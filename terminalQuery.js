@@ -0,0 +1,111 @@
+import { cursorGetPosition } from "./cursor.js";
+import { queryTerminal } from "./terminal.js";
+
+/* Primary device attributes, which every terminal answers: sent after a query so that a terminal
+ * that ignores the query doesn't keep us waiting for the timeout */
+const deviceAttributesQuery = { request: "\x1b[c", reply: /^\x1b\[\?[\d;]*c$/ };
+
+/**
+ * @typedef {Object} QueryOptions
+ * @property {number} [timeout=500] - Milliseconds to wait for the terminal to answer.
+ */
+
+/**
+ * Writes a query and waits for its reply.
+ *
+ * @param {string} request
+ * @param {RegExp} reply
+ * @param {QueryOptions} [options]
+ * @returns {Promise<RegExpMatchArray|null>} The match of the reply, or null if the terminal didn't answer.
+ */
+const query = async (request, reply, options) => {
+  const [match] = await queryTerminal([{ request, reply }, deviceAttributesQuery], options);
+  return match;
+};
+
+/**
+ * Scales a component of an X11 color specification ("f", "ff", "fff" or "ffff") to 0-255.
+ *
+ * @param {string} hex
+ * @returns {number}
+ */
+const scaleColorComponent = (hex) =>
+  Math.round(parseInt(hex, 16) / (16 ** hex.length - 1) * 255);
+
+/**
+ * Asks the terminal for one of its dynamic colors (OSC 10, OSC 11).
+ *
+ * @param {number} code
+ * @param {QueryOptions} [options]
+ * @returns {Promise<{r: number, g: number, b: number}|null>}
+ */
+const queryColor = async (code, options) => {
+  const match = await query(
+    `\x1b]${code};?\x1b\\`,
+    new RegExp(`^\\x1b\\]${code};rgba?:([\\da-f]{1,4})/([\\da-f]{1,4})/([\\da-f]{1,4})(?:/[\\da-f]{1,4})?(?:\\x07|\\x1b\\\\)$`, "i"),
+    options,
+  );
+  if (!match) return null;
+  const [r, g, b] = match.slice(1, 4).map(scaleColorComponent);
+  return { r, g, b };
+};
+
+/**
+ * Asks the terminal where the cursor is (DSR 6, see cursorGetPosition in cursor.js).
+ *
+ * The terminal must be in raw mode (see enterTerminalSession), or it would echo the answer on the screen.
+ * Keys typed while waiting for the answer are kept for the application.
+ *
+ * @param {QueryOptions} [options]
+ * @returns {Promise<{column: number, row: number}|null>} The 1-based position, or null if the terminal didn't answer.
+ *
+ * @example
+ * const position = await getCursorPosition();
+ * if (position) print(`row ${position.row}, column ${position.column}`);
+ */
+export const getCursorPosition = async (options) => {
+  const match = await query(cursorGetPosition, /^\x1b\[(\d+);(\d+)R$/, options);
+  return match && { column: Number(match[2]), row: Number(match[1]) };
+};
+
+/**
+ * Asks the terminal for its default foreground (text) color (OSC 10).
+ *
+ * @param {QueryOptions} [options]
+ * @returns {Promise<{r: number, g: number, b: number}|null>} The color, or null if the terminal didn't answer.
+ */
+export const getForegroundColor = (options) => queryColor(10, options);
+
+/**
+ * Asks the terminal for its default background color (OSC 11), e.g. to pick a palette for a light or dark theme.
+ *
+ * @param {QueryOptions} [options]
+ * @returns {Promise<{r: number, g: number, b: number}|null>} The color, or null if the terminal didn't answer.
+ *
+ * @example
+ * const background = await getBackgroundColor();
+ * const isDark = background && tinycolor(background).isDark();
+ */
+export const getBackgroundColor = (options) => queryColor(11, options);
+
+/**
+ * Asks the terminal for the size of its text area in pixels (XTWINOPS 14).
+ *
+ * @param {QueryOptions} [options]
+ * @returns {Promise<{width: number, height: number}|null>} The size, or null if the terminal didn't answer.
+ */
+export const getTextAreaPixels = async (options) => {
+  const match = await query("\x1b[14t", /^\x1b\[4;(\d+);(\d+)t$/, options);
+  return match && { width: Number(match[2]), height: Number(match[1]) };
+};
+
+/**
+ * Asks the terminal for the size of its text area in characters (XTWINOPS 18).
+ *
+ * @param {QueryOptions} [options]
+ * @returns {Promise<{columns: number, rows: number}|null>} The size, or null if the terminal didn't answer.
+ */
+export const getTextAreaCells = async (options) => {
+  const match = await query("\x1b[18t", /^\x1b\[8;(\d+);(\d+)t$/, options);
+  return match && { columns: Number(match[2]), rows: Number(match[1]) };
+};
@@ -0,0 +1,178 @@
+import { close, exec, pipe, signal, SIGINT, SIGTERM, ttySetRaw } from "os";
+import { exit, fdopen, out as stdout } from "std";
+import {
+  cursorHide,
+  cursorShow,
+  enterAlternativeScreen,
+  exitAlternativeScreen,
+} from "./cursor.js";
+
+/* Not exported by the QuickJS os module */
+const SIGHUP = 1;
+
+const resetAttributes = "\x1b[0m";
+
+/**
+ * @typedef {Object} TerminalSession
+ * @property {string|null} ttySettings - `stty -g` settings saved before entering raw mode.
+ * @property {boolean} alternateScreen
+ */
+
+/** @type {TerminalSession|null} */
+let session = null;
+
+/** @type {Function[]} */
+const cleanupHooks = [];
+
+const write = (sequence) => {
+  stdout.puts(sequence);
+  stdout.flush();
+};
+
+/**
+ * Runs a command attached to the terminal and returns what it printed.
+ *
+ * @param {string[]} args
+ * @returns {string|null} The output, or null if the command failed.
+ */
+const runCommand = (args) => {
+  const [readFd, writeFd] = pipe();
+  const status = exec(args, { block: true, stdout: writeFd });
+  close(writeFd);
+  const output = fdopen(readFd, "r");
+  const text = output.readAsString();
+  output.close();
+  return status === 0 ? text.trim() : null;
+};
+
+const exitOnSignal = (signalNumber) => {
+  restoreTerminal();
+  exit(128 + signalNumber);
+};
+
+/**
+ * Registers a hook that runs when the terminal is restored, before the screen and the tty modes are reset.
+ * Hooks run in reverse order of registration, once, and are dropped afterwards.
+ *
+ * @param {() => void} hook
+ * @returns {() => void} A function that unregisters the hook.
+ *
+ * @example
+ * const removeHook = onTerminalRestore(() => print("\x1b[?1000l")); // switch mouse reporting off
+ */
+export const onTerminalRestore = (hook) => {
+  cleanupHooks.push(hook);
+  return () => {
+    const index = cleanupHooks.lastIndexOf(hook);
+    if (index !== -1) cleanupHooks.splice(index, 1);
+  };
+};
+
+/**
+ * Tells whether a terminal session is active.
+ *
+ * @returns {boolean}
+ */
+export const isTerminalSessionActive = () => session !== null;
+
+/**
+ * Enters a full-screen terminal session: raw mode, the alternate screen and (optionally) a hidden cursor.
+ *
+ * Until restoreTerminal is called, SIGINT, SIGTERM and SIGHUP restore the terminal before exiting with 128 + signal number.
+ * Errors passing through catchError / catchAsyncError restore it as well. QuickJS has no exit hook, so a program
+ * quits with exitTerminalSession, or runs in withTerminalSession, which restores the terminal however it ends.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.rawMode=true] - put the tty in raw mode
+ * @param {boolean} [options.alternateScreen=true] - draw on the alternate screen
+ * @param {boolean} [options.hideCursor=false] - hide the cursor
+ */
+export const enterTerminalSession = (options = {}) => {
+  if (session) return;
+  const {
+    rawMode = true,
+    alternateScreen = true,
+    hideCursor = false,
+  } = options;
+
+  session = {
+    ttySettings: rawMode ? runCommand(["stty", "-g"]) : null,
+    alternateScreen,
+  };
+  if (rawMode) ttySetRaw(0);
+  write(
+    (alternateScreen ? enterAlternativeScreen : "") +
+      (hideCursor ? cursorHide : ""),
+  );
+  for (const signalNumber of [SIGINT, SIGTERM, SIGHUP]) {
+    signal(signalNumber, () => exitOnSignal(signalNumber));
+  }
+};
+
+/**
+ * Restores the terminal: runs the cleanup hooks, resets the text attributes, shows the cursor, leaves the
+ * alternate screen and brings back the tty settings from before the session.
+ * Safe to call at any time and more than once.
+ */
+export const restoreTerminal = () => {
+  while (cleanupHooks.length) {
+    try {
+      cleanupHooks.pop()();
+    } catch {
+      // A failing hook must not keep the terminal from being restored
+    }
+  }
+  if (!session) return;
+
+  const { ttySettings, alternateScreen } = session;
+  session = null;
+  write(
+    resetAttributes + cursorShow +
+      (alternateScreen ? exitAlternativeScreen : ""),
+  );
+  if (ttySettings) runCommand(["stty", ttySettings]);
+  for (const signalNumber of [SIGINT, SIGTERM, SIGHUP]) {
+    signal(signalNumber, null);
+  }
+};
+
+/**
+ * Runs a callback inside a terminal session, restoring the terminal however the callback ends.
+ *
+ * @template T
+ * @param {() => T | Promise<T>} cb
+ * @param {object} [options] - see enterTerminalSession
+ * @returns {Promise<T>}
+ *
+ * @example
+ * const selected = await withTerminalSession(() => chooseItemFromList(["a", "b"]), { hideCursor: true });
+ */
+export const withTerminalSession = async (cb, options) => {
+  enterTerminalSession(options);
+  try {
+    return await cb();
+  } finally {
+    restoreTerminal();
+  }
+};
+
+/**
+ * Restores the terminal and ends the program, the way out of a session entered with enterTerminalSession.
+ *
+ * @param {number} [status=0] - Exit status of the process.
+ *
+ * @example
+ * enterTerminalSession({ hideCursor: true });
+ * await handleKeysPress({ q: (key, quit) => quit() });
+ * exitTerminalSession();
+ */
+export const exitTerminalSession = (status = 0) => {
+  restoreTerminal();
+  exit(status);
+};
+
+/**
+ * Restores the terminal and exits like an interrupted process (status 130).
+ * Used for Ctrl+C in raw mode, where the terminal sends the key instead of SIGINT.
+ */
+export const interrupt = () => exitOnSignal(SIGINT);
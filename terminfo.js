@@ -0,0 +1,571 @@
+import { getenv, open, SEEK_END, SEEK_SET } from "std";
+
+/* Magic numbers of the compiled formats: numbers stored as 16-bit (legacy) or 32-bit (extended-number) integers */
+const LEGACY_MAGIC = 0o432;
+const EXTENDED_NUMBER_MAGIC = 0o1036;
+
+/* Capability names in the order of the compiled format (see term.h), including the obsolete termcap ones */
+const booleanNames = [
+  "bw", "am", "xsb", "xhp", "xenl", "eo", "gn", "hc", "km", "hs", "in", "da", "db", "mir", "msgr",
+  "os", "eslok", "xt", "hz", "ul", "xon", "nxon", "mc5i", "chts", "nrrmc", "npc", "ndscr", "ccc",
+  "bce", "hls", "xhpa", "crxm", "daisy", "xvpa", "sam", "cpix", "lpix", "OTbs", "OTns", "OTnc",
+  "OTMT", "OTNL", "OTpt", "OTxr",
+];
+
+const numberNames = [
+  "cols", "it", "lines", "lm", "xmc", "pb", "vt", "wsl", "nlab", "lh", "lw", "ma", "wnum",
+  "colors", "pairs", "ncv", "bufsz", "spinv", "spinh", "maddr", "mjump", "mcs", "mls", "npins",
+  "orc", "orl", "orhi", "orvi", "cps", "widcs", "btns", "bitwin", "bitype", "OTug", "OTdC", "OTdN",
+  "OTdB", "OTdT", "OTkn",
+];
+
+const stringNames = [
+  "cbt", "bel", "cr", "csr", "tbc", "clear", "el", "ed", "hpa", "cmdch", "cup", "cud1", "home",
+  "civis", "cub1", "mrcup", "cnorm", "cuf1", "ll", "cuu1", "cvvis", "dch1", "dl1", "dsl", "hd",
+  "smacs", "blink", "bold", "smcup", "smdc", "dim", "smir", "invis", "prot", "rev", "smso", "smul",
+  "ech", "rmacs", "sgr0", "rmcup", "rmdc", "rmir", "rmso", "rmul", "flash", "ff", "fsl", "is1",
+  "is2", "is3", "if", "ich1", "il1", "ip", "kbs", "ktbc", "kclr", "kctab", "kdch1", "kdl1",
+  "kcud1", "krmir", "kel", "ked", "kf0", "kf1", "kf10", "kf2", "kf3", "kf4", "kf5", "kf6", "kf7",
+  "kf8", "kf9", "khome", "kich1", "kil1", "kcub1", "kll", "knp", "kpp", "kcuf1", "kind", "kri",
+  "khts", "kcuu1", "rmkx", "smkx", "lf0", "lf1", "lf10", "lf2", "lf3", "lf4", "lf5", "lf6", "lf7",
+  "lf8", "lf9", "rmm", "smm", "nel", "pad", "dch", "dl", "cud", "ich", "indn", "il", "cub", "cuf",
+  "rin", "cuu", "pfkey", "pfloc", "pfx", "mc0", "mc4", "mc5", "rep", "rs1", "rs2", "rs3", "rf",
+  "rc", "vpa", "sc", "ind", "ri", "sgr", "hts", "wind", "ht", "tsl", "uc", "hu", "iprog", "ka1",
+  "ka3", "kb2", "kc1", "kc3", "mc5p", "rmp", "acsc", "pln", "kcbt", "smxon", "rmxon", "smam",
+  "rmam", "xonc", "xoffc", "enacs", "smln", "rmln", "kbeg", "kcan", "kclo", "kcmd", "kcpy", "kcrt",
+  "kend", "kent", "kext", "kfnd", "khlp", "kmrk", "kmsg", "kmov", "knxt", "kopn", "kopt", "kprv",
+  "kprt", "krdo", "kref", "krfr", "krpl", "krst", "kres", "ksav", "kspd", "kund", "kBEG", "kCAN",
+  "kCMD", "kCPY", "kCRT", "kDC", "kDL", "kslt", "kEND", "kEOL", "kEXT", "kFND", "kHLP", "kHOM",
+  "kIC", "kLFT", "kMSG", "kMOV", "kNXT", "kOPT", "kPRV", "kPRT", "kRDO", "kRPL", "kRIT", "kRES",
+  "kSAV", "kSPD", "kUND", "rfi", "kf11", "kf12", "kf13", "kf14", "kf15", "kf16", "kf17", "kf18",
+  "kf19", "kf20", "kf21", "kf22", "kf23", "kf24", "kf25", "kf26", "kf27", "kf28", "kf29", "kf30",
+  "kf31", "kf32", "kf33", "kf34", "kf35", "kf36", "kf37", "kf38", "kf39", "kf40", "kf41", "kf42",
+  "kf43", "kf44", "kf45", "kf46", "kf47", "kf48", "kf49", "kf50", "kf51", "kf52", "kf53", "kf54",
+  "kf55", "kf56", "kf57", "kf58", "kf59", "kf60", "kf61", "kf62", "kf63", "el1", "mgc", "smgl",
+  "smgr", "fln", "sclk", "dclk", "rmclk", "cwin", "wingo", "hup", "dial", "qdial", "tone", "pulse",
+  "hook", "pause", "wait", "u0", "u1", "u2", "u3", "u4", "u5", "u6", "u7", "u8", "u9", "op", "oc",
+  "initc", "initp", "scp", "setf", "setb", "cpi", "lpi", "chr", "cvr", "defc", "swidm", "sdrfq",
+  "sitm", "slm", "smicm", "snlq", "snrmq", "sshm", "ssubm", "ssupm", "sum", "rwidm", "ritm", "rlm",
+  "rmicm", "rshm", "rsubm", "rsupm", "rum", "mhpa", "mcud1", "mcub1", "mcuf1", "mvpa", "mcuu1",
+  "porder", "mcud", "mcub", "mcuf", "mcuu", "scs", "smgb", "smgbp", "smglp", "smgrp", "smgt",
+  "smgtp", "sbim", "scsd", "rbim", "rcsd", "subcs", "supcs", "docr", "zerom", "csnm", "kmous",
+  "minfo", "reqmp", "getm", "setaf", "setab", "pfxl", "devt", "csin", "s0ds", "s1ds", "s2ds",
+  "s3ds", "smglr", "smgtb", "birep", "binel", "bicr", "colornm", "defbi", "endbi", "setcolor",
+  "slines", "dispc", "smpch", "rmpch", "smsc", "rmsc", "pctrm", "scesc", "scesa", "ehhlm", "elhlm",
+  "elohlm", "erhlm", "ethlm", "evhlm", "sgr1", "slength", "OTi2", "OTrs", "OTnl", "OTbc", "OTko",
+  "OTma", "OTG2", "OTG3", "OTG1", "OTG4", "OTGR", "OTGL", "OTGU", "OTGD", "OTGH", "OTGV", "OTGC",
+  "meml", "memu", "box1",
+];
+
+/* Key names (see decodeKey in terminal.js) of the key capabilities */
+const keyCapabilities = {
+  kcuu1: "ArrowUp",
+  kcud1: "ArrowDown",
+  kcuf1: "ArrowRight",
+  kcub1: "ArrowLeft",
+  khome: "Home",
+  kend: "End",
+  kpp: "PageUp",
+  knp: "PageDown",
+  kich1: "Insert",
+  kdch1: "Delete",
+  kbs: "Backspace",
+  kcbt: "Shift+Tab",
+  kent: "Enter",
+  kb2: "Begin",
+  kri: "Shift+ArrowUp",
+  kind: "Shift+ArrowDown",
+  kLFT: "Shift+ArrowLeft",
+  kRIT: "Shift+ArrowRight",
+  kHOM: "Shift+Home",
+  kEND: "Shift+End",
+  kPRV: "Shift+PageUp",
+  kNXT: "Shift+PageDown",
+  kIC: "Shift+Insert",
+  kDC: "Shift+Delete",
+  ...Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`kf${i + 1}`, `F${i + 1}`])),
+};
+
+/* Extended key capabilities with a modifier suffix (xterm's "kUP5" is Ctrl+ArrowUp) */
+const modifiedKeyCapabilities = {
+  kUP: "ArrowUp",
+  kDN: "ArrowDown",
+  kRIT: "ArrowRight",
+  kLFT: "ArrowLeft",
+  kHOM: "Home",
+  kEND: "End",
+  kPRV: "PageUp",
+  kNXT: "PageDown",
+  kIC: "Insert",
+  kDC: "Delete",
+};
+const capabilityModifiers = {
+  2: "Shift",
+  3: "Alt",
+  4: "Shift+Alt",
+  5: "Ctrl",
+  6: "Ctrl+Shift",
+  7: "Ctrl+Alt",
+  8: "Ctrl+Shift+Alt",
+};
+
+/* Padding such as "$<5>" or "$<100/>", which terminals emulated in software don't need */
+const paddingPattern = /\$<[\d.]+[*/]{0,2}>/g;
+
+/* Static variables (%PA ... %PZ) keep their value between tparm calls */
+const staticVariables = {};
+
+/**
+ * Formats a parameter like printf, for the "%[[:]flags][width[.precision]][doxXs]" operators.
+ *
+ * @param {string} flags
+ * @param {string} width
+ * @param {string|undefined} precision
+ * @param {string} conversion
+ * @param {number|string} value
+ * @returns {string}
+ */
+const formatParameter = (flags, width, precision, conversion, value) => {
+  let text;
+  if (conversion === "s") {
+    text = String(value);
+    if (precision !== undefined) text = text.slice(0, Number(precision));
+  } else {
+    const number = Math.trunc(Number(value)) || 0;
+    const base = { d: 10, o: 8, x: 16, X: 16 }[conversion];
+    let digits = Math.abs(number).toString(base);
+    if (conversion === "X") digits = digits.toUpperCase();
+    if (precision !== undefined) digits = digits.padStart(Number(precision), "0");
+    if (flags.includes("#") && number !== 0) {
+      if (conversion === "o") digits = "0" + digits;
+      if (conversion === "x") digits = "0x" + digits;
+      if (conversion === "X") digits = "0X" + digits;
+    }
+    const sign = number < 0 ? "-" : flags.includes("+") ? "+" : flags.includes(" ") ? " " : "";
+    text = sign + digits;
+  }
+  const length = Number(width) || 0;
+  return flags.includes("-") ? text.padEnd(length) : text.padStart(length);
+};
+
+/**
+ * Returns the index just after the "%e" (if `stopAtElse`) or the "%;" that ends the current conditional part.
+ *
+ * @param {string} template
+ * @param {number} index
+ * @param {boolean} stopAtElse
+ * @returns {number}
+ */
+const skipConditional = (template, index, stopAtElse) => {
+  let depth = 0;
+  while (index < template.length) {
+    if (template[index++] !== "%") continue;
+    const operator = template[index++];
+    if (operator === "'") index += 2;
+    else if (operator === "?") depth++;
+    else if (operator === ";") {
+      if (depth === 0) return index;
+      depth--;
+    } else if (operator === "e" && stopAtElse && depth === 0) return index;
+  }
+  return index;
+};
+
+/**
+ * Expands the parameters of a terminfo string capability, like tparm(3).
+ *
+ * Understands the whole parameter language: %p1-%p9, %d %o %x %X %s %c with printf flags, %i, %'c', %{n}, %l,
+ * arithmetic, bit and logical operators, %P/%g variables and %? %t %e %; conditionals.
+ *
+ * @param {string} template - A string capability, e.g. the value of "cup".
+ * @param {...(number|string)} parameters
+ * @returns {string}
+ *
+ * @example
+ * tparm("\x1b[%i%p1%d;%p2%dH", 4, 9)  // => "\x1b[5;10H"
+ * tparm("\x1b[%?%p1%{8}%<%t3%p1%d%e38;5;%p1%d%;m", 196) // => "\x1b[38;5;196m"
+ */
+export const tparm = (template, ...parameters) => {
+  const params = Array.from({ length: 9 }, (_, i) => parameters[i] ?? 0);
+  const variables = {};
+  const stack = [];
+  const pop = () => stack.length ? stack.pop() : 0;
+  const popNumber = () => Number(pop()) || 0;
+  let output = "";
+  let index = 0;
+
+  while (index < template.length) {
+    const char = template[index++];
+    if (char !== "%") {
+      output += char;
+      continue;
+    }
+
+    const operator = template[index++];
+    switch (operator) {
+      case "%":
+        output += "%";
+        break;
+      case "c":
+        output += String.fromCharCode(popNumber());
+        break;
+      case "p":
+        stack.push(params[Number(template[index++]) - 1] ?? 0);
+        break;
+      case "P": {
+        const name = template[index++];
+        (name >= "A" && name <= "Z" ? staticVariables : variables)[name] = pop();
+        break;
+      }
+      case "g": {
+        const name = template[index++];
+        stack.push((name >= "A" && name <= "Z" ? staticVariables : variables)[name] ?? 0);
+        break;
+      }
+      case "'":
+        stack.push(template.charCodeAt(index));
+        index += 2;
+        break;
+      case "{": {
+        const end = template.indexOf("}", index);
+        stack.push(parseInt(template.slice(index, end), 10) || 0);
+        index = end + 1;
+        break;
+      }
+      case "l":
+        stack.push(String(pop()).length);
+        break;
+      case "+":
+      case "-":
+      case "*":
+      case "/":
+      case "m":
+      case "&":
+      case "|":
+      case "^":
+      case "=":
+      case ">":
+      case "<":
+      case "A":
+      case "O": {
+        const b = popNumber();
+        const a = popNumber();
+        stack.push({
+          "+": () => a + b,
+          "-": () => a - b,
+          "*": () => a * b,
+          "/": () => b ? Math.trunc(a / b) : 0,
+          "m": () => b ? a % b : 0,
+          "&": () => a & b,
+          "|": () => a | b,
+          "^": () => a ^ b,
+          "=": () => Number(a === b),
+          ">": () => Number(a > b),
+          "<": () => Number(a < b),
+          "A": () => Number(Boolean(a && b)),
+          "O": () => Number(Boolean(a || b)),
+        }[operator]());
+        break;
+      }
+      case "!":
+        stack.push(Number(!popNumber()));
+        break;
+      case "~":
+        stack.push(~popNumber());
+        break;
+      case "i":
+        params[0] = Number(params[0]) + 1;
+        params[1] = Number(params[1]) + 1;
+        break;
+      case "?":
+      case ";":
+        break;
+      case "t":
+        if (!popNumber()) index = skipConditional(template, index, true);
+        break;
+      case "e":
+        index = skipConditional(template, index, false);
+        break;
+      default: {
+        const format = template.slice(index - 1).match(/^:?([-+# ]*)(\d*)(?:\.(\d+))?([doxXs])/);
+        if (!format) {
+          output += "%" + operator;
+          break;
+        }
+        const [spec, flags, width, precision, conversion] = format;
+        output += formatParameter(flags, width, precision, conversion, conversion === "s" ? pop() : popNumber());
+        index += spec.length - 1;
+      }
+    }
+  }
+  return output;
+};
+
+/**
+ * A terminfo entry: the capabilities of a terminal type.
+ */
+export class Terminfo {
+  /**
+   * @param {object} entry
+   * @param {string[]} entry.names - The terminal names, e.g. ["xterm-256color", "xterm with 256 colors"].
+   * @param {Object.<string, boolean>} entry.booleans
+   * @param {Object.<string, number>} entry.numbers
+   * @param {Object.<string, string>} entry.strings
+   */
+  constructor({ names, booleans, numbers, strings }) {
+    this.names = names;
+    this.booleans = booleans;
+    this.numbers = numbers;
+    this.strings = strings;
+    this.keys = null;
+  }
+
+  /**
+   * @param {string} name - A boolean capability, e.g. "am" or "bce".
+   * @returns {boolean}
+   */
+  getFlag(name) {
+    return this.booleans[name] === true;
+  }
+
+  /**
+   * @param {string} name - A numeric capability, e.g. "colors" or "cols".
+   * @returns {number|null}
+   */
+  getNumber(name) {
+    return this.numbers[name] ?? null;
+  }
+
+  /**
+   * Returns a string capability, without padding.
+   *
+   * @param {string} name - A string capability, e.g. "cup", "kcuu1" or the extended "Smulx".
+   * @returns {string|null}
+   */
+  getString(name) {
+    return this.strings[name]?.replace(paddingPattern, "") ?? null;
+  }
+
+  /**
+   * Returns a string capability with its parameters expanded (see tparm).
+   *
+   * @param {string} name
+   * @param {...(number|string)} parameters
+   * @returns {string|null} The expanded string, or null if the terminal lacks the capability.
+   *
+   * @example
+   * terminfo.tparm("cup", 0, 0) // => "\x1b[1;1H"
+   */
+  tparm(name, ...parameters) {
+    const template = this.getString(name);
+    return template === null ? null : tparm(template, ...parameters);
+  }
+
+  /**
+   * The key names of the sequences the terminal sends for its special keys.
+   *
+   * @type {Object.<string, string>} Key names like "ArrowUp" or "Ctrl+Delete", by input sequence.
+   */
+  get keyNames() {
+    if (this.keys) return this.keys;
+    this.keys = {};
+    for (const [capability, sequence] of Object.entries(this.strings)) {
+      const modified = capability.match(/^(k[A-Z]{2,3})([2-8])$/);
+      const name = modified
+        ? modifiedKeyCapabilities[modified[1]] &&
+          `${capabilityModifiers[modified[2]]}+${modifiedKeyCapabilities[modified[1]]}`
+        : keyCapabilities[capability];
+      if (name && sequence) this.keys[sequence] ??= name;
+    }
+    return this.keys;
+  }
+}
+
+/**
+ * Reads a null-terminated string.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {string}
+ */
+const readString = (bytes, offset) => {
+  let end = offset;
+  while (end < bytes.length && bytes[end] !== 0) end++;
+  return String.fromCharCode(...bytes.subarray(offset, end));
+};
+
+/**
+ * Parses a compiled terminfo entry, in the legacy format or the extended-number format of ncurses 6.1,
+ * along with the extended (user-defined) capabilities.
+ *
+ * @param {Uint8Array} bytes - The contents of the compiled entry.
+ * @returns {Terminfo}
+ * @throws {Error} If the data is not a compiled terminfo entry.
+ */
+export const parseTerminfo = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const short = (offset) => view.getInt16(offset, true);
+  const magic = short(0);
+  if (bytes.length < 12 || (magic !== LEGACY_MAGIC && magic !== EXTENDED_NUMBER_MAGIC)) {
+    throw new Error("Not a compiled terminfo entry");
+  }
+  const numberSize = magic === EXTENDED_NUMBER_MAGIC ? 4 : 2;
+  const number = (offset) => numberSize === 4 ? view.getInt32(offset, true) : short(offset);
+
+  const booleans = {};
+  const numbers = {};
+  const strings = {};
+
+  /**
+   * Reads a section of capabilities: booleans, then numbers on an even offset, then string offsets.
+   * Absent (-1) and cancelled (-2) capabilities are left out.
+   *
+   * @returns {{offset: number, stringOffsets: number[], booleanValues: boolean[], numberValues: number[]}}
+   */
+  const readSection = (offset, booleanCount, numberCount, stringCount) => {
+    const booleanValues = Array.from(bytes.subarray(offset, offset + booleanCount), (byte) => byte === 1);
+    offset += booleanCount;
+    if (offset % 2) offset++;
+    const numberValues = Array.from({ length: numberCount }, (_, i) => number(offset + i * numberSize));
+    offset += numberCount * numberSize;
+    const stringOffsets = Array.from({ length: stringCount }, (_, i) => short(offset + i * 2));
+    offset += stringCount * 2;
+    return { offset, booleanValues, numberValues, stringOffsets };
+  };
+
+  const [nameSize, booleanCount, numberCount, stringCount, tableSize] = [2, 4, 6, 8, 10].map(short);
+  const names = readString(bytes, 12).split("|");
+  const standard = readSection(12 + nameSize, booleanCount, numberCount, stringCount);
+
+  standard.booleanValues.forEach((value, i) => {
+    if (value) booleans[booleanNames[i] ?? `bool${i}`] = true;
+  });
+  standard.numberValues.forEach((value, i) => {
+    if (value >= 0) numbers[numberNames[i] ?? `num${i}`] = value;
+  });
+  standard.stringOffsets.forEach((stringOffset, i) => {
+    if (stringOffset >= 0) {
+      strings[stringNames[i] ?? `str${i}`] = readString(bytes, standard.offset + stringOffset);
+    }
+  });
+
+  // Extended capabilities, after the string table on an even offset
+  let offset = standard.offset + tableSize;
+  if (offset % 2) offset++;
+  if (offset + 10 <= bytes.length) {
+    const [extendedBooleans, extendedNumbers, extendedStrings] = [0, 2, 4].map((i) => short(offset + i));
+    const extendedOffsetCount = short(offset + 6);
+    const extended = readSection(offset + 10, extendedBooleans, extendedNumbers, extendedOffsetCount);
+    const valueOffsets = extended.stringOffsets.slice(0, extendedStrings);
+    const nameOffsets = extended.stringOffsets.slice(extendedStrings);
+    const table = extended.offset;
+
+    // The names follow the string values in the table
+    const namesStart = valueOffsets.reduce(
+      (end, valueOffset) =>
+        valueOffset < 0 ? end : Math.max(end, valueOffset + readString(bytes, table + valueOffset).length + 1),
+      0,
+    );
+    const nameAt = (i) => readString(bytes, table + namesStart + nameOffsets[i]);
+
+    extended.booleanValues.forEach((value, i) => {
+      if (value) booleans[nameAt(i)] = true;
+    });
+    extended.numberValues.forEach((value, i) => {
+      if (value >= 0) numbers[nameAt(extendedBooleans + i)] = value;
+    });
+    valueOffsets.forEach((valueOffset, i) => {
+      if (valueOffset >= 0) {
+        strings[nameAt(extendedBooleans + extendedNumbers + i)] = readString(bytes, table + valueOffset);
+      }
+    });
+  }
+
+  return new Terminfo({ names, booleans, numbers, strings });
+};
+
+/**
+ * Reads a whole file.
+ *
+ * @param {string} path
+ * @returns {Uint8Array|null} The contents, or null if the file can't be read.
+ */
+const readFile = (path) => {
+  const file = open(path, "rb");
+  if (!file) return null;
+  try {
+    file.seek(0, SEEK_END);
+    const size = file.tell();
+    file.seek(0, SEEK_SET);
+    const bytes = new Uint8Array(size);
+    return file.read(bytes.buffer, 0, size) === size ? bytes : null;
+  } finally {
+    file.close();
+  }
+};
+
+/**
+ * The directories searched for terminfo entries, in the order ncurses searches them.
+ *
+ * @returns {string[]}
+ */
+const terminfoDirectories = () => {
+  const defaults = ["/etc/terminfo", "/lib/terminfo", "/usr/share/terminfo", "/usr/lib/terminfo", "/usr/local/share/terminfo"];
+  const terminfo = getenv("TERMINFO");
+  const home = getenv("HOME");
+  const terminfoDirs = getenv("TERMINFO_DIRS");
+  return [
+    ...(terminfo ? [terminfo] : []),
+    ...(home ? [`${home}/.terminfo`] : []),
+    // An empty entry in TERMINFO_DIRS stands for the default directories
+    ...(terminfoDirs ? terminfoDirs.split(":").flatMap((dir) => dir ? [dir] : defaults) : defaults),
+  ];
+};
+
+/**
+ * Loads the compiled terminfo entry of a terminal type from the terminfo directories
+ * ($TERMINFO, ~/.terminfo, $TERMINFO_DIRS, then the system directories).
+ *
+ * @param {string} [term=$TERM] - The terminal type, e.g. "xterm-256color", "screen", "tmux-256color" or "linux".
+ * @returns {Terminfo|null} The entry, or null if it can't be found.
+ *
+ * @example
+ * const terminfo = loadTerminfo("tmux-256color");
+ * terminfo?.getNumber("colors") // => 256
+ * terminfo?.tparm("cup", 4, 9)  // => "\x1b[5;10H"
+ */
+export const loadTerminfo = (term = getenv("TERM")) => {
+  if (!term || term.includes("/")) return null;
+  // Entries are filed under their first letter (Linux) or its hexadecimal code (macOS)
+  const subdirectories = [term[0], term.charCodeAt(0).toString(16)];
+  for (const directory of terminfoDirectories()) {
+    for (const subdirectory of subdirectories) {
+      const bytes = readFile(`${directory}/${subdirectory}/${term}`);
+      if (bytes) return parseTerminfo(bytes);
+    }
+  }
+  return null;
+};
+
+/** @type {Terminfo|null} */
+let activeTerminfo = null;
+
+/**
+ * Makes key decoding (see decodeKey in terminal.js) and cursor movement (see cursor.js) follow a terminfo entry
+ * instead of the built-in xterm sequences.
+ *
+ * @param {Terminfo|null} terminfo - The entry to use, or null to go back to the xterm sequences.
+ *
+ * @example
+ * useTerminfo(loadTerminfo()); // follow $TERM
+ */
+export const useTerminfo = (terminfo) => {
+  activeTerminfo = terminfo;
+};
+
+/**
+ * Returns the terminfo entry set with useTerminfo.
+ *
+ * @returns {Terminfo|null}
+ */
+export const getTerminfo = () => activeTerminfo;
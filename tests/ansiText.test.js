@@ -0,0 +1,21 @@
+import { wrapAnsi } from "../ansiText.js";
+import { assertEqual, done, test } from "./assert.js";
+
+await test("wrapAnsi breaks lines at spaces", () => {
+  assertEqual(wrapAnsi("The quick brown fox", 10), "The quick\nbrown fox");
+});
+
+await test("wrapAnsi keeps the indentation when the first word fits after it", () => {
+  assertEqual(wrapAnsi("  hi there", 8), "  hi\nthere");
+});
+
+await test("wrapAnsi shrinks the indentation instead of breaking before the first word", () => {
+  assertEqual(wrapAnsi("  indented text here", 8), "indented\ntext\nhere");
+  assertEqual(wrapAnsi("    abcdefghij xy", 6), "abcdef\nghij\nxy");
+});
+
+await test("wrapAnsi keeps the styles across breaks", () => {
+  assertEqual(wrapAnsi("\x1b[1m  bold words\x1b[0m", 6), "\x1b[1m  bold\x1b[0m\n\x1b[1mwords\x1b[0m");
+});
+
+done();
@@ -0,0 +1,43 @@
+import { exit } from "std";
+
+/**
+ * Minimal helpers for the test scripts, which run with QuickJS from the repository root:
+ * `qjs -m tests/ansiText.test.js`. Each test prints "ok" or "not ok", and a failing script exits with status 1.
+ */
+
+let failures = 0;
+
+/**
+ * @param {unknown} actual
+ * @param {unknown} expected
+ * @param {string} [message]
+ * @throws {Error} When the values differ (compared as JSON).
+ */
+export const assertEqual = (actual, expected, message) => {
+  const [actualJson, expectedJson] = [JSON.stringify(actual), JSON.stringify(expected)];
+  if (actualJson !== expectedJson) {
+    throw new Error(`${message ? message + ": " : ""}expected ${expectedJson}, got ${actualJson}`);
+  }
+};
+
+/**
+ * Runs a test and reports its result.
+ *
+ * @param {string} name
+ * @param {() => void | Promise<void>} cb
+ * @returns {Promise<void>}
+ */
+export const test = async (name, cb) => {
+  try {
+    await cb();
+    print(`ok - ${name}`);
+  } catch (error) {
+    failures++;
+    print(`not ok - ${name}\n  ${error.message}`);
+  }
+};
+
+/* Ends the script with status 1 if a test failed */
+export const done = () => {
+  if (failures) exit(1);
+};
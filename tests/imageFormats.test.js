@@ -0,0 +1,44 @@
+import { decodeBase64 } from "../base64.js";
+import { halfBlockImage, renderImage } from "../graphics.js";
+import { decodeImage, decodePng, encodePng } from "../imageFormats.js";
+import { assertEqual, done, test } from "./assert.js";
+
+/* 3x8, 4-bit grayscale, compressed with fixed Huffman codes */
+const grayPng = decodeBase64(
+  "iVBORw0KGgoAAAANSUhEUgAAAAMAAAAIBAAAAADcdPehAAAAEElEQVR4AWP6UMDUwcDSXsj0jYFh+olo/gAAABBJREFUOQPD9gLG/oeM+o4AXw8HkSoy" +
+    "9NYAAAAASUVORK5CYII=",
+);
+/* 13x2, 2-bit palette, Adam7 interlaced */
+const palettePng = decodeBase64(
+  "iVBORw0KGgoAAAANSUhEUgAAAA0AAAACAgMAAAGJ1I6sAAAADFBMVEU4OQUt5J5cXdJeK012vPulAAAAB0lEQVR42mMpYA5gvToQ/gAAAAdJREFU" +
+    "+MCkvoH5bWGvh3cAAAAISURBVGRFIAAdSgSjX7scLAAAAABJRU5ErkJggg==",
+);
+
+const pixel = ({ width, data }, x, y) => [...data.subarray((y * width + x) * 4, (y * width + x + 1) * 4)];
+
+await test("decodePng scales low bit depth grayscale samples", () => {
+  const bitmap = decodePng(grayPng);
+  assertEqual([bitmap.width, bitmap.height], [3, 8]);
+  assertEqual(pixel(bitmap, 0, 0), [255, 255, 255, 255]);
+  assertEqual(pixel(bitmap, 1, 0), [0, 0, 0, 255]);
+  assertEqual(pixel(bitmap, 2, 0), [119, 119, 119, 255]);
+});
+
+await test("decodePng reads interlaced palette images", () => {
+  const bitmap = decodeImage(palettePng);
+  assertEqual([bitmap.width, bitmap.height], [13, 2]);
+  assertEqual(pixel(bitmap, 0, 0), [45, 228, 158, 255]);
+  assertEqual(pixel(bitmap, 1, 0), [56, 57, 5, 255]);
+  assertEqual(pixel(bitmap, 12, 1), [94, 43, 77, 255]);
+});
+
+await test("encodePng output decodes to the same pixels", () => {
+  const bitmap = { width: 2, height: 2, data: new Uint8Array([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0, 9, 8, 7, 255]) };
+  assertEqual([...decodePng(encodePng(bitmap)).data], [...bitmap.data]);
+});
+
+await test("renderImage decodes PNG files for half blocks", () => {
+  assertEqual(renderImage(grayPng, { protocol: null }), halfBlockImage(decodePng(grayPng)));
+});
+
+done();
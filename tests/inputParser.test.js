@@ -0,0 +1,50 @@
+import { setTimeout } from "os";
+import { InputParser } from "../inputParser.js";
+import { assertEqual, done, test } from "./assert.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Feeds the chunks to a parser, waiting `delay` milliseconds after each one.
+ *
+ * @returns {Promise<Array<[string, string]>>} The kind and sequence of every token.
+ */
+const parse = async (chunks, delay = 30) => {
+  const tokens = [];
+  const parser = new InputParser((token) => tokens.push([token.kind, token.sequence]), { escapeTimeout: 10 });
+  for (const chunk of chunks) {
+    parser.feed(chunk);
+    await sleep(delay);
+  }
+  parser.reset();
+  return tokens;
+};
+
+await test("complete sequences are tokens of their own", async () => {
+  assertEqual(await parse(["a\x1b[1;5A\x1bOP\x1b]11;rgb:0/0/0\x07"]), [
+    ["char", "a"],
+    ["escape", "\x1b[1;5A"],
+    ["escape", "\x1bOP"],
+    ["string", "\x1b]11;rgb:0/0/0\x07"],
+  ]);
+});
+
+await test("a lone Escape is a key press once the timeout passes", async () => {
+  assertEqual(await parse(["\x1b", "a"]), [["escape", "\x1b"], ["char", "a"]]);
+});
+
+await test("Alt keys that start a sequence are key presses once the timeout passes", async () => {
+  for (const char of ["[", "O", "P", "X", "]", "_", "^"]) {
+    assertEqual(await parse(["\x1b" + char, "A"]), [["escape", "\x1b" + char], ["char", "A"]], `Alt+${char}`);
+  }
+});
+
+await test("characters typed right after an unfinished sequence are kept", async () => {
+  assertEqual(await parse(["\x1b]ab"]), [["escape", "\x1b]"], ["char", "a"], ["char", "b"]]);
+});
+
+await test("a paste split across slow chunks stays one token", async () => {
+  assertEqual(await parse(["\x1b[200~one\n", "two\x1b[201~"]), [["paste", "one\ntwo"]]);
+});
+
+done();
@@ -0,0 +1,71 @@
+import { decodeKey, encodeKey, handleKeysPress, setTerminalBackend } from "../terminal.js";
+import { VirtualTerminal } from "../virtualTerminal.js";
+import { assertEqual, done, test } from "./assert.js";
+
+const terminal = new VirtualTerminal();
+setTerminalBackend(terminal);
+
+await test("decodeKey names the kitty functional keys", () => {
+  assertEqual(decodeKey("\x1b[57376u"), "F13");
+  assertEqual(decodeKey("\x1b[57398;5u"), "Ctrl+F35");
+  assertEqual(decodeKey("\x1b[57428u"), "MediaPlay");
+  assertEqual(decodeKey("\x1b[57441;2u"), "Shift+ShiftLeft");
+});
+
+await test("decodeKey reads kitty keypad keys as the keys they stand for", () => {
+  assertEqual(decodeKey("\x1b[57399u"), "0");
+  assertEqual(decodeKey("\x1b[57413;2u"), "+");
+  assertEqual(decodeKey("\x1b[57414u"), "Enter");
+  assertEqual(decodeKey("\x1b[57417;5u"), "Ctrl+ArrowLeft");
+});
+
+await test("decodeKey reads the application keypad", () => {
+  assertEqual(decodeKey("\x1bOM"), "Enter");
+  assertEqual(decodeKey("\x1bOj"), "*");
+  assertEqual(decodeKey("\x1bOp"), "0");
+  assertEqual(decodeKey("\x1bOy"), "9");
+  assertEqual(decodeKey("\x1bOX"), "=");
+  assertEqual(decodeKey("\x1bOP"), "F1");
+});
+
+await test("encodeKey sends the keys without a legacy sequence as kitty functional keys", () => {
+  assertEqual(encodeKey("F13"), "\x1b[57376u");
+  assertEqual(encodeKey("Ctrl+MediaPlay"), "\x1b[57428;5u");
+  assertEqual(encodeKey("Ctrl+0"), "\x1b[48;5u");
+});
+
+await test("keypad keys reach the default handler as the characters they type", async () => {
+  const received = [];
+  const keys = handleKeysPress({ default: (key) => received.push(key), q: (key, quit) => quit() });
+  await terminal.send("\x1b[57403u");
+  await terminal.send("\x1bOk");
+  await terminal.send("\x1b[57376u");
+  await terminal.type("q");
+  await keys;
+  assertEqual(received, ["4", "+", "\x1b[57376u"]);
+});
+
+await test("a key handler can read keys of its own, and the outer handlers get the input back", async () => {
+  const received = [];
+  const modes = [];
+  const keys = handleKeysPress({
+    d: async () => {
+      await handleKeysPress({ x: () => received.push("inner x"), q: (key, quit) => quit() });
+      modes.push(terminal.modes.has(2004), terminal.modes.has(1000));
+    },
+    x: () => received.push("outer x"),
+    q: (key, quit) => quit(),
+  }, { mouse: true });
+  await terminal.type("d");
+  await terminal.type("x");
+  await terminal.type("q");
+  await terminal.type("x");
+  await terminal.type("q");
+  await keys;
+  assertEqual(received, ["inner x", "outer x"]);
+  assertEqual(modes, [true, true]);
+  assertEqual([terminal.modes.has(2004), terminal.modes.has(1000)], [false, false]);
+});
+
+setTerminalBackend(null);
+done();
@@ -0,0 +1,63 @@
+import { setTerminalBackend } from "../terminal.js";
+import { VirtualTerminal } from "../virtualTerminal.js";
+import { assertEqual, done, test } from "./assert.js";
+
+const terminal = new VirtualTerminal({ width: 30, height: 8 });
+setTerminalBackend(terminal);
+
+// Importing filter.js runs its demo filter, which waits for a selection before the module finishes loading
+const demo = terminal.wait(300).then(() => terminal.press("Enter"));
+const { chooseItemFromList, filterItemsFromList } = await import("../filter.js");
+await demo;
+
+await test("filterItemsFromList narrows the list while typing and resolves to the chosen item", async () => {
+  const selection = filterItemsFromList(["apple", "banana", "cherry"], { headerText: "Fruit" });
+  await terminal.wait(50);
+  await terminal.type("an");
+  const screen = terminal.screenText();
+  assertEqual(screen.includes("banana"), true, "banana is listed");
+  assertEqual(screen.includes("cherry"), false, "cherry is filtered out");
+  await terminal.press("Enter");
+  assertEqual(await selection, [{ text: "banana", value: "banana" }]);
+});
+
+await test("a multi-line paste stays on the input line, and clicks still land on the items", async () => {
+  const selection = filterItemsFromList(["apple", "a b c", "a(b"], { headerText: "Fruit" });
+  await terminal.wait(50);
+  await terminal.paste("a\tb\nc\x07");
+  assertEqual(terminal.lineText(2), "> a b c");
+  assertEqual(terminal.lineText(3).includes("a b c"), true, "the matching item follows the input line");
+  await terminal.mouse({ column: 4, row: 3 });
+  assertEqual(await selection, [{ text: "a b c", value: "a b c" }]);
+});
+
+await test("queries that aren't valid regular expressions match literally", async () => {
+  const selection = filterItemsFromList(["apple", "a b c", "a(b"], { headerText: "Fruit" });
+  await terminal.wait(50);
+  await terminal.type("a(");
+  assertEqual(terminal.screenText().includes("apple"), false, "apple is filtered out");
+  await terminal.press("Enter");
+  assertEqual(await selection, [{ text: "a(b", value: "a(b" }]);
+});
+
+await test("chooseItemFromList moves the selection with the arrow keys", async () => {
+  const selection = chooseItemFromList(["apple", "banana", "cherry"]);
+  await terminal.wait(50);
+  await terminal.press("ArrowDown");
+  await terminal.press("Enter");
+  assertEqual(await selection, [{ text: "banana", value: "banana" }]);
+});
+
+await test("Escape leaves the filter without a selection", async () => {
+  const selection = chooseItemFromList(["apple", "banana", "cherry"]);
+  await terminal.wait(50);
+  await terminal.press("Escape");
+  assertEqual(await selection, null);
+});
+
+await test("mouse reporting and bracketed paste are switched off once the filter is done", () => {
+  assertEqual([...terminal.modes], [7, 25]);
+});
+
+setTerminalBackend(null);
+done();
@@ -0,0 +1,221 @@
+const REPLACEMENT_CHARACTER = 0xfffd;
+
+/**
+ * Decodes a stream of UTF-8 bytes into code points.
+ *
+ * A character whose bytes are split across chunks is completed by the next chunk.
+ * Invalid bytes are replaced with U+FFFD.
+ *
+ * @example
+ * const decoder = new Utf8Decoder();
+ * decoder.decode(new Uint8Array([0x63, 0x61, 0x66, 0xc3])); // => "caf"
+ * decoder.decode(new Uint8Array([0xa9]));                   // => "é"
+ */
+export class Utf8Decoder {
+  constructor() {
+    this.codePoint = 0;
+    this.needed = 0;
+    // Valid range of the next continuation byte (narrower after E0, ED, F0 and F4)
+    this.lowerBoundary = 0x80;
+    this.upperBoundary = 0xbf;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  decode(bytes) {
+    const codePoints = [];
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i];
+
+      if (this.needed) {
+        if (byte >= this.lowerBoundary && byte <= this.upperBoundary) {
+          this.codePoint = (this.codePoint << 6) | (byte & 0x3f);
+          this.lowerBoundary = 0x80;
+          this.upperBoundary = 0xbf;
+          if (--this.needed === 0) codePoints.push(this.codePoint);
+          continue;
+        }
+        // Truncated or invalid character: replace it and decode this byte afresh
+        codePoints.push(REPLACEMENT_CHARACTER);
+        this.needed = 0;
+        this.lowerBoundary = 0x80;
+        this.upperBoundary = 0xbf;
+      }
+
+      if (byte < 0x80) {
+        codePoints.push(byte);
+      } else if (byte >= 0xc2 && byte <= 0xdf) {
+        this.needed = 1;
+        this.codePoint = byte & 0x1f;
+      } else if (byte >= 0xe0 && byte <= 0xef) {
+        if (byte === 0xe0) this.lowerBoundary = 0xa0;
+        if (byte === 0xed) this.upperBoundary = 0x9f;
+        this.needed = 2;
+        this.codePoint = byte & 0x0f;
+      } else if (byte >= 0xf0 && byte <= 0xf4) {
+        if (byte === 0xf0) this.lowerBoundary = 0x90;
+        if (byte === 0xf4) this.upperBoundary = 0x8f;
+        this.needed = 3;
+        this.codePoint = byte & 0x07;
+      } else {
+        codePoints.push(REPLACEMENT_CHARACTER);
+      }
+    }
+
+    let text = "";
+    for (let i = 0; i < codePoints.length; i += 4096) {
+      text += String.fromCodePoint(...codePoints.slice(i, i + 4096));
+    }
+    return text;
+  }
+}
+
+const controlPattern = /^[\x00-\x1f\x7f-\x9f]$/;
+const extendPattern =
+  /^[\p{M}\u200c\u200d\ufe00-\ufe0f\u{1f3fb}-\u{1f3ff}\u{e0020}-\u{e007f}\u{e0100}-\u{e01ef}]$/u;
+const pictographicPattern = /^\p{Extended_Pictographic}$/u;
+const regionalIndicatorPattern = /^[\u{1f1e6}-\u{1f1ff}]$/u;
+
+/**
+ * Returns the Hangul syllable type (L, V, T, LV or LVT) of a character.
+ *
+ * @param {number} codePoint
+ * @returns {string|undefined}
+ */
+const hangulType = (codePoint) => {
+  if (
+    (codePoint >= 0x1100 && codePoint <= 0x115f) ||
+    (codePoint >= 0xa960 && codePoint <= 0xa97c)
+  ) return "L";
+  if (
+    (codePoint >= 0x1160 && codePoint <= 0x11a7) ||
+    (codePoint >= 0xd7b0 && codePoint <= 0xd7c6)
+  ) return "V";
+  if (
+    (codePoint >= 0x11a8 && codePoint <= 0x11ff) ||
+    (codePoint >= 0xd7cb && codePoint <= 0xd7fb)
+  ) return "T";
+  if (codePoint >= 0xac00 && codePoint <= 0xd7a3) {
+    return (codePoint - 0xac00) % 28 === 0 ? "LV" : "LVT";
+  }
+};
+
+/**
+ * Tells whether there is a grapheme cluster boundary between two characters (UAX #29, without Prepend rules).
+ *
+ * @param {string[]} cluster - Characters of the current cluster.
+ * @param {string} next - The next character.
+ * @returns {boolean}
+ */
+const isBoundary = (cluster, next) => {
+  const previous = cluster[cluster.length - 1];
+  if (previous === "\r" && next === "\n") return false;
+  if (controlPattern.test(previous) || controlPattern.test(next)) return true;
+
+  const previousHangul = hangulType(previous.codePointAt(0));
+  const nextHangul = hangulType(next.codePointAt(0));
+  if (previousHangul && nextHangul) {
+    if (previousHangul === "L" && nextHangul !== "T") return false;
+    if ((previousHangul === "LV" || previousHangul === "V") && (nextHangul === "V" || nextHangul === "T")) {
+      return false;
+    }
+    if ((previousHangul === "LVT" || previousHangul === "T") && nextHangul === "T") return false;
+  }
+
+  if (extendPattern.test(next)) return false;
+  if (
+    previous === "\u200d" && pictographicPattern.test(next) &&
+    cluster.some((char) => pictographicPattern.test(char))
+  ) return false;
+  if (regionalIndicatorPattern.test(previous) && regionalIndicatorPattern.test(next)) {
+    // Regional indicators pair up into flags
+    return cluster.filter((char) => regionalIndicatorPattern.test(char)).length % 2 === 0;
+  }
+  return true;
+};
+
+/**
+ * Splits text into grapheme clusters: user-perceived characters such as "é" (e + combining acute),
+ * "👩\u200d💻" (an emoji ZWJ sequence) or "🇮🇳" (a flag).
+ *
+ * @param {string} text
+ * @returns {string[]}
+ *
+ * @example
+ * graphemes("née👍🏽") // => ["n", "é", "e", "👍🏽"]
+ */
+export const graphemes = (text) => {
+  const clusters = [];
+  let cluster = [];
+  for (const char of text) {
+    if (cluster.length && isBoundary(cluster, char)) {
+      clusters.push(cluster.join(""));
+      cluster = [];
+    }
+    cluster.push(char);
+  }
+  if (cluster.length) clusters.push(cluster.join(""));
+  return clusters;
+};
+
+/**
+ * Tells whether a character (or grapheme) starts with a C0/C1 control character.
+ *
+ * @param {string} char
+ * @returns {boolean}
+ */
+export const isControl = (char) => controlPattern.test(char.charAt(0));
+
+// Hangul medial vowels and final consonants only take space after an initial consonant, in the same cluster
+const zeroWidthPattern = /^[\p{M}\p{Cf}\u200b\u1160-\u11ff\ufe00-\ufe0f]/u;
+const widePattern =
+  /^[\p{Emoji_Presentation}\u1100-\u115f\u2329\u232a\u2e80-\u303e\u3041-\u33ff\u3400-\u4dbf\u4e00-\u9fff\ua000-\ua4cf\ua960-\ua97f\uac00-\ud7a3\uf900-\ufaff\ufe10-\ufe19\ufe30-\ufe6f\uff00-\uff60\uffe0-\uffe6\u{16fe0}-\u{16fe4}\u{17000}-\u{18cff}\u{1b000}-\u{1b2ff}\u{1f200}-\u{1f251}\u{20000}-\u{3fffd}]/u;
+
+/**
+ * Returns the number of terminal columns a grapheme cluster takes up: 2 for wide (East Asian) characters and
+ * emoji, 0 for control characters and combining marks on their own, and 1 otherwise.
+ *
+ * @param {string} grapheme
+ * @returns {0|1|2}
+ *
+ * @example
+ * graphemeWidth("a")  // => 1
+ * graphemeWidth("漢") // => 2
+ * graphemeWidth("❤\ufe0f") // => 2
+ */
+export const graphemeWidth = (grapheme) => {
+  if (!grapheme || isControl(grapheme) || zeroWidthPattern.test(grapheme)) return 0;
+  return widePattern.test(grapheme) || grapheme.includes("\ufe0f") ? 2 : 1;
+};
+
+/**
+ * Encodes text as UTF-8. Lone surrogates are replaced with U+FFFD.
+ *
+ * @param {string} text
+ * @returns {Uint8Array}
+ *
+ * @example
+ * encodeUtf8("é") // => Uint8Array [0xc3, 0xa9]
+ */
+export const encodeUtf8 = (text) => {
+  const bytes = [];
+  for (const char of text) {
+    let codePoint = char.codePointAt(0);
+    if (codePoint >= 0xd800 && codePoint <= 0xdfff) codePoint = REPLACEMENT_CHARACTER;
+    if (codePoint < 0x80) bytes.push(codePoint);
+    else if (codePoint < 0x800) bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    else if (codePoint < 0x10000) {
+      bytes.push(0xe0 | (codePoint >> 12), 0x80 | ((codePoint >> 6) & 0x3f), 0x80 | (codePoint & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (codePoint >> 18),
+        0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f),
+      );
+    }
+  }
+  return new Uint8Array(bytes);
+};
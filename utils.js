@@ -112,8 +112,11 @@ export function readFileToArrayBuffer(filePath) {
       throw new Error(`Could not open file: ${filePath}`);
     }
 
-    // Get file size by seeking to end and getting position
-    const fileSize = file.seek(0, STD.SEEK_END);
+    // Get file size by seeking to end and getting position (seek itself only returns 0 or an error code)
+    if (file.seek(0, STD.SEEK_END) !== 0) {
+      throw new Error("Failed to determine file size");
+    }
+    const fileSize = file.tell();
     if (fileSize < 0) {
       throw new Error("Failed to determine file size");
     }
@@ -0,0 +1,782 @@
+import { setTimeout } from "os";
+import { decodeBase64, encodeBase64 } from "./base64.js";
+import { applySgr, defaultStyle } from "./sgr.js";
+import { encodeKey } from "./terminal.js";
+import { graphemes, graphemeWidth, Utf8Decoder } from "./unicode.js";
+
+/**
+ * @typedef {Object} Cell
+ * @property {string} char - The grapheme cluster shown in the cell, "" for the right half of a wide character.
+ * @property {0|1|2} width - Columns taken by the character: 2 for wide characters, 0 for the cell they cover.
+ * @property {import("./sgr.js").CellStyle} style
+ * @property {string|null} link - The target of the OSC 8 hyperlink the cell belongs to.
+ */
+
+/* Private modes that are set when the terminal starts: autowrap (7) and a visible cursor (25) */
+const defaultModes = [7, 25];
+
+/* Mouse reporting modes: button events (1000), button-motion events (1002) and any-motion events (1003) */
+const mouseModes = [1000, 1002, 1003];
+
+const mouseButtonCodes = {
+  left: 0,
+  middle: 1,
+  right: 2,
+  none: 3,
+  wheelUp: 64,
+  wheelDown: 65,
+  wheelLeft: 66,
+  wheelRight: 67,
+  back: 128,
+  forward: 129,
+};
+
+const csiPattern = /\x1b\[([\x30-\x3f]*)([\x20-\x2f]*)([\x40-\x7e])/y;
+const stringPattern = /\x1b([\]P_^X])([^]*?)(?:\x07|\x1b\\)/y;
+const escapePattern = /\x1b([\x20-\x2f]*)([\x30-\x7e])/y;
+const incompleteEscapePattern = /^\x1b(?:\[[\x20-\x3f]*|[\]P_^X][^]*|[\x20-\x2f]*)$/;
+const textPattern = /[^\x00-\x1f\x7f]+/y;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A headless terminal: a TerminalBackend (see terminal.js) that takes its input from a script and renders
+ * its output on an emulated screen, so TUIs built on handleKeysPress can run and be checked without a tty.
+ *
+ * The screen understands the sequences from cursor.js and ansiStyle.js: cursor movement, erasing, scrolling and
+ * scroll regions, line and character editing, SGR attributes with 16, 256 and true colors, the alternate screen,
+ * the private modes, window titles, OSC 8 links and the OSC 52 clipboard. It answers cursor position (DSR 6),
+ * device attributes (DA1, DA2), version (XTVERSION), mode (DECRQM), color (OSC 10, 11), clipboard (OSC 52) and
+ * size (XTWINOPS 14, 16, 18) queries on the input, like a real terminal. Output newlines move to the start of
+ * the next line, as they do on a tty that translates "\n" into "\r\n".
+ *
+ * Scripted input is delivered one step at a time, and the methods that send it resolve on the next timer tick,
+ * once the application has handled it. Pastes, mouse and focus events are only sent while the application
+ * has enabled their reporting mode, like a real terminal does.
+ *
+ * @example
+ * const terminal = new VirtualTerminal({ width: 40, height: 10 });
+ * setTerminalBackend(terminal);
+ * const selection = chooseItemFromList(["apple", "banana", "cherry"]);
+ * await terminal.press("ArrowDown");
+ * await terminal.press("Enter");
+ * print(JSON.stringify(await selection)); // => [{"text":"banana","value":"banana"}]
+ * print(terminal.screenText());
+ * setTerminalBackend(null);
+ */
+export class VirtualTerminal {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.width=80] - Columns of the screen.
+   * @param {number} [options.height=24] - Rows of the screen.
+   * @param {number} [options.escapeDelay=100] - Milliseconds to wait after sending a lone Escape, so the input
+   * parser takes it as a key press rather than the start of a sequence.
+   * @param {[number, number]} [options.cellPixels=[10, 20]] - Width and height of a cell in pixels.
+   * @param {string} [options.foreground="#ffffff"] - Default text color, as "#rrggbb".
+   * @param {string} [options.background="#000000"] - Default background color, as "#rrggbb".
+   */
+  constructor(options = {}) {
+    this.width = options.width ?? 80;
+    this.height = options.height ?? 24;
+    this.escapeDelay = options.escapeDelay ?? 100;
+    this.cellPixels = options.cellPixels ?? [10, 20];
+    this.foreground = options.foreground ?? "#ffffff";
+    this.background = options.background ?? "#000000";
+
+    /** @type {string} Everything written to the terminal, verbatim. */
+    this.output = "";
+    /** @type {string} The window title set with OSC 0 or OSC 2. */
+    this.title = "";
+    /** @type {string[]} Titles saved with XTWINOPS 22, restored with XTWINOPS 23. */
+    this.titleStack = [];
+    /** @type {number} Cursor style set with DECSCUSR: 0 for the default, 1 to 6 for blinking and steady shapes. */
+    this.cursorStyle = 0;
+    /** @type {string|null} Cursor color set with OSC 12, null for the default. */
+    this.cursorColor = null;
+    /** @type {number} Number of bells rung. */
+    this.bells = 0;
+    /** @type {Record<string, string>} Text of the selections set with OSC 52, by target ("c", "p"...). */
+    this.selections = {};
+
+    this.onData = null;
+    this.onEnd = null;
+    this.pendingInput = [];
+    this.resizeListeners = new Set();
+    this.unparsed = "";
+    this.reset();
+  }
+
+  /* ----- TerminalBackend ----- */
+
+  readInput(onData, onEnd) {
+    this.onData = onData;
+    this.onEnd = onEnd;
+    if (this.pendingInput.length) {
+      setTimeout(() => this.pendingInput.splice(0).forEach((text) => this.onData?.(text)), 0);
+    }
+    return () => {
+      this.onData = this.onEnd = null;
+    };
+  }
+
+  write(text) {
+    this.output += text;
+    this.interpret(this.unparsed + text);
+  }
+
+  getSize() {
+    return [this.width, this.height];
+  }
+
+  watchResize(listener) {
+    this.resizeListeners.add(listener);
+    return () => this.resizeListeners.delete(listener);
+  }
+
+  isInteractive() {
+    return true;
+  }
+
+  /* ----- Scripted input ----- */
+
+  /**
+   * Sends raw input to the application.
+   * Input sent before the application reads it is kept until it does.
+   *
+   * @param {string} text
+   * @returns {Promise<void>} Resolves on the next timer tick, once the application has handled the input.
+   */
+  async send(text) {
+    // Input sent before the application reads, or while earlier input waits to be delivered, keeps its order
+    if (this.onData && !this.pendingInput.length) this.onData(text);
+    else this.pendingInput.push(text);
+    await sleep(text === "\x1b" ? this.escapeDelay : 0);
+  }
+
+  /**
+   * Presses keys one after the other.
+   *
+   * @param {...string} keys - Key names like "Enter", "Ctrl+C", "Alt+x" or "Shift+ArrowUp" (see encodeKey).
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await terminal.press("ArrowDown", "ArrowDown", "Enter");
+   */
+  async press(...keys) {
+    for (const key of keys) await this.send(encodeKey(key));
+  }
+
+  /**
+   * Types text, one grapheme cluster at a time.
+   *
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  async type(text) {
+    for (const char of graphemes(text)) await this.send(char);
+  }
+
+  /**
+   * Pastes text, between bracketed paste markers if the application enabled them.
+   *
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  paste(text) {
+    return this.send(
+      this.modes.has(2004) ? `\x1b[200~${text}\x1b[201~` : text,
+    );
+  }
+
+  /**
+   * Sends an SGR mouse report, if the application enabled mouse reporting.
+   *
+   * @param {object} event
+   * @param {"press"|"release"|"drag"|"wheel"} [event.action="press"]
+   * @param {string} [event.button="left"] - "left", "middle", "right", "none", "back", "forward", or "wheelUp",
+   * "wheelDown", "wheelLeft" and "wheelRight" for wheel events.
+   * @param {number} event.column - 1-based column of the pointer.
+   * @param {number} event.row - 1-based row of the pointer.
+   * @param {{shift?: boolean, alt?: boolean, ctrl?: boolean}} [event.modifiers]
+   * @returns {Promise<void>}
+   */
+  mouse({ action = "press", button = "left", column, row, modifiers = {} }) {
+    if (!mouseModes.some((mode) => this.modes.has(mode))) return sleep(0);
+    const code = mouseButtonCodes[button] +
+      (action === "drag" ? 32 : 0) +
+      (modifiers.shift ? 4 : 0) +
+      (modifiers.alt ? 8 : 0) +
+      (modifiers.ctrl ? 16 : 0);
+    return this.send(`\x1b[<${code};${column};${row}${action === "release" ? "m" : "M"}`);
+  }
+
+  /**
+   * Clicks (presses and releases) a mouse button at a position.
+   *
+   * @param {number} column - 1-based column.
+   * @param {number} row - 1-based row.
+   * @param {string} [button="left"]
+   * @returns {Promise<void>}
+   */
+  async click(column, row, button = "left") {
+    await this.mouse({ action: "press", button, column, row });
+    await this.mouse({ action: "release", button, column, row });
+  }
+
+  /**
+   * Reports that the terminal window gained or lost the focus, if the application enabled focus reporting.
+   *
+   * @param {boolean} focused
+   * @returns {Promise<void>}
+   */
+  focus(focused) {
+    return this.modes.has(1004) ? this.send(focused ? "\x1b[I" : "\x1b[O") : sleep(0);
+  }
+
+  /**
+   * Resizes the screen and notifies the application, like a SIGWINCH would.
+   * Lines are cut or padded on the right and at the bottom, the content is not reflowed.
+   *
+   * @param {number} width
+   * @param {number} height
+   * @returns {Promise<void>}
+   */
+  async resize(width, height) {
+    this.width = width;
+    this.height = height;
+    for (const buffer of [this.primary, this.alternate]) {
+      buffer.lines = Array.from(
+        { length: height },
+        (_, row) => this.fitLine(buffer.lines[row] ?? []),
+      );
+    }
+    this.scrollTop = 0;
+    this.scrollBottom = height - 1;
+    this.column = Math.min(this.column, width - 1);
+    this.row = Math.min(this.row, height - 1);
+    this.pendingWrap = false;
+    for (const listener of this.resizeListeners) listener();
+    await sleep(0);
+  }
+
+  /**
+   * Closes the input, as when the terminal hangs up.
+   *
+   * @returns {Promise<void>}
+   */
+  async end() {
+    this.onEnd?.();
+    await sleep(0);
+  }
+
+  /**
+   * Waits for some milliseconds, e.g. for a chord or escape timeout to pass.
+   *
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return sleep(ms);
+  }
+
+  /**
+   * Runs a script of input steps in order.
+   *
+   * @param {Array<string|{text: string}|{paste: string}|{resize: [number, number]}|{mouse: object}|{wait: number}>} steps
+   * A key name to press, text to type, text to paste, a new [width, height], a mouse event or a delay.
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await terminal.script(["ArrowDown", { text: "foo" }, { paste: "bar\nbaz" }, { resize: [60, 20] }, "Enter"]);
+   */
+  async script(steps) {
+    for (const step of steps) {
+      if (typeof step === "string") await this.press(step);
+      else if ("text" in step) await this.type(step.text);
+      else if ("paste" in step) await this.paste(step.paste);
+      else if ("resize" in step) await this.resize(...step.resize);
+      else if ("mouse" in step) await this.mouse(step.mouse);
+      else if ("wait" in step) await this.wait(step.wait);
+      else throw new TypeError(`Unknown input step: ${JSON.stringify(step)}`);
+    }
+  }
+
+  /* ----- Inspection ----- */
+
+  /**
+   * The cursor position, 1-based.
+   *
+   * @type {{column: number, row: number}}
+   */
+  get cursor() {
+    return { column: this.column + 1, row: this.row + 1 };
+  }
+
+  /** @type {boolean} */
+  get cursorVisible() {
+    return this.modes.has(25);
+  }
+
+  /** @type {boolean} Whether the alternate screen is shown. */
+  get isAlternateScreen() {
+    return this.buffer === this.alternate;
+  }
+
+  /**
+   * Returns the text of a row, without trailing spaces.
+   *
+   * @param {number} row - 1-based row.
+   * @returns {string}
+   */
+  lineText(row) {
+    return (this.buffer.lines[row - 1] ?? [])
+      .map((cell) => cell.char)
+      .join("")
+      .trimEnd();
+  }
+
+  /**
+   * Returns the text of the whole screen, one line per row, without trailing spaces.
+   *
+   * @returns {string}
+   */
+  screenText() {
+    return this.buffer.lines.map((_, row) => this.lineText(row + 1)).join("\n");
+  }
+
+  /**
+   * Returns a cell of the screen.
+   *
+   * @param {number} column - 1-based column.
+   * @param {number} row - 1-based row.
+   * @returns {Cell|undefined}
+   */
+  cellAt(column, row) {
+    return this.buffer.lines[row - 1]?.[column - 1];
+  }
+
+  /* ----- Screen emulation ----- */
+
+  /**
+   * Resets the screen, the cursor, the attributes and the modes (RIS).
+   */
+  reset() {
+    this.style = defaultStyle;
+    this.link = null;
+    this.primary = this.createBuffer();
+    this.alternate = this.createBuffer();
+    this.buffer = this.primary;
+    this.column = 0;
+    this.row = 0;
+    this.pendingWrap = false;
+    this.scrollTop = 0;
+    this.scrollBottom = this.height - 1;
+    /** @type {Set<number>} The private (DEC) modes that are set. */
+    this.modes = new Set(defaultModes);
+  }
+
+  createBuffer() {
+    return {
+      lines: Array.from({ length: this.height }, () => this.blankLine()),
+      savedCursor: null,
+    };
+  }
+
+  /* Erased cells keep the current background color, like in xterm */
+  blankCell() {
+    const style = this.style.background === null
+      ? defaultStyle
+      : Object.freeze({ ...defaultStyle, background: this.style.background });
+    return { char: " ", width: 1, style, link: null };
+  }
+
+  blankLine() {
+    return Array.from({ length: this.width }, () => this.blankCell());
+  }
+
+  fitLine(line) {
+    return Array.from(
+      { length: this.width },
+      (_, column) => line[column] ?? this.blankCell(),
+    );
+  }
+
+  /**
+   * Interprets output, keeping an unfinished escape sequence for the next write.
+   *
+   * @param {string} data
+   */
+  interpret(data) {
+    this.unparsed = "";
+    let index = 0;
+    while (index < data.length) {
+      const char = data[index];
+
+      if (char === "\x1b") {
+        let match;
+        if ((csiPattern.lastIndex = index, match = csiPattern.exec(data))) {
+          this.controlSequence(match[1], match[2], match[3]);
+        } else if ((stringPattern.lastIndex = index, match = stringPattern.exec(data))) {
+          if (match[1] === "]") this.operatingSystemCommand(match[2]);
+        } else if ((escapePattern.lastIndex = index, match = escapePattern.exec(data))) {
+          this.escapeSequence(match[1], match[2]);
+        } else if (incompleteEscapePattern.test(data.slice(index))) {
+          this.unparsed = data.slice(index);
+          return;
+        } else {
+          index++;
+          continue;
+        }
+        index += match[0].length;
+      } else if (char < " " || char === "\x7f") {
+        this.controlCharacter(char);
+        index++;
+      } else {
+        textPattern.lastIndex = index;
+        const text = textPattern.exec(data)[0];
+        for (const grapheme of graphemes(text)) this.print(grapheme);
+        index += text.length;
+      }
+    }
+  }
+
+  print(char) {
+    const width = graphemeWidth(char);
+    if (width === 0) {
+      // A combining character written on its own joins the character before the cursor
+      const line = this.buffer.lines[this.row];
+      const column = this.pendingWrap ? this.column : this.column - 1;
+      let cell = line[column];
+      if (cell?.width === 0 && column > 0) cell = line[column - 1];
+      if (cell && cell.char !== " ") cell.char += char;
+      return;
+    }
+
+    if (this.pendingWrap || (width === 2 && this.column === this.width - 1)) {
+      this.pendingWrap = false;
+      if (this.modes.has(7)) {
+        this.column = 0;
+        this.lineFeed();
+      } else if (width === 2) return;
+    }
+    if (width > this.width) return;
+
+    this.putCell(this.column, { char, width, style: this.style, link: this.link });
+    if (width === 2) {
+      this.putCell(this.column + 1, { char: "", width: 0, style: this.style, link: this.link });
+    }
+    if (this.column + width >= this.width) {
+      this.column = this.width - 1;
+      this.pendingWrap = true;
+    } else this.column += width;
+  }
+
+  /* Writes a cell, blanking what is left of a wide character it overwrites */
+  putCell(column, cell) {
+    const line = this.buffer.lines[this.row];
+    const previous = line[column];
+    if (previous.width === 0 && column > 0) line[column - 1] = this.blankCell();
+    if (previous.width === 2 && column + 1 < this.width) line[column + 1] = this.blankCell();
+    line[column] = cell;
+  }
+
+  controlCharacter(char) {
+    switch (char) {
+      case "\x07":
+        this.bells++;
+        break;
+      case "\b":
+        this.column = Math.max(this.column - 1, 0);
+        this.pendingWrap = false;
+        break;
+      case "\t":
+        this.column = Math.min((Math.floor(this.column / 8) + 1) * 8, this.width - 1);
+        break;
+      case "\n":
+      case "\v":
+      case "\f":
+        this.column = 0;
+        this.lineFeed();
+        break;
+      case "\r":
+        this.column = 0;
+        this.pendingWrap = false;
+        break;
+    }
+  }
+
+  lineFeed() {
+    this.pendingWrap = false;
+    if (this.row === this.scrollBottom) this.scrollUp(1);
+    else if (this.row < this.height - 1) this.row++;
+  }
+
+  reverseIndex() {
+    this.pendingWrap = false;
+    if (this.row === this.scrollTop) this.scrollDown(1);
+    else if (this.row > 0) this.row--;
+  }
+
+  /* Scrolls the lines of the scroll region (or from a row to the bottom of the region) up */
+  scrollUp(count, top = this.scrollTop) {
+    const lines = this.buffer.lines;
+    count = Math.min(count, this.scrollBottom - top + 1);
+    lines.splice(top, count);
+    lines.splice(this.scrollBottom - count + 1, 0, ...Array.from({ length: count }, () => this.blankLine()));
+  }
+
+  /* Scrolls the lines of the scroll region (or from a row to the bottom of the region) down */
+  scrollDown(count, top = this.scrollTop) {
+    const lines = this.buffer.lines;
+    count = Math.min(count, this.scrollBottom - top + 1);
+    lines.splice(this.scrollBottom - count + 1, count);
+    lines.splice(top, 0, ...Array.from({ length: count }, () => this.blankLine()));
+  }
+
+  eraseCells(row, from, to) {
+    const line = this.buffer.lines[row];
+    for (let column = Math.max(from, 0); column < Math.min(to, this.width); column++) {
+      line[column] = this.blankCell();
+    }
+  }
+
+  eraseLines(from, to) {
+    for (let row = from; row < to; row++) this.buffer.lines[row] = this.blankLine();
+  }
+
+  moveTo(column, row) {
+    this.column = Math.min(Math.max(column, 0), this.width - 1);
+    this.row = Math.min(Math.max(row, 0), this.height - 1);
+    this.pendingWrap = false;
+  }
+
+  saveCursor() {
+    this.buffer.savedCursor = {
+      column: this.column,
+      row: this.row,
+      pendingWrap: this.pendingWrap,
+      style: this.style,
+    };
+  }
+
+  restoreCursor() {
+    const saved = this.buffer.savedCursor;
+    if (!saved) return this.moveTo(0, 0);
+    this.moveTo(saved.column, saved.row);
+    this.pendingWrap = saved.pendingWrap;
+    this.style = saved.style;
+  }
+
+  escapeSequence(intermediates, final) {
+    if (intermediates) return; // character set designations
+    switch (final) {
+      case "7":
+        return this.saveCursor();
+      case "8":
+        return this.restoreCursor();
+      case "D":
+        return this.lineFeed();
+      case "E":
+        this.column = 0;
+        return this.lineFeed();
+      case "M":
+        return this.reverseIndex();
+      case "c":
+        return this.reset();
+    }
+  }
+
+  controlSequence(parameterBytes, intermediates, final) {
+    const prefix = /^[<=>?]/.test(parameterBytes) ? parameterBytes[0] : "";
+    const parameterText = prefix ? parameterBytes.slice(1) : parameterBytes;
+    if (prefix === "?" && (final === "h" || final === "l")) {
+      return parameterText.split(";").forEach((mode) => this.setMode(Number(mode), final === "h"));
+    }
+    if (prefix === ">" && final === "c") return this.reply("\x1b[>0;10;1c");
+    if (prefix === ">" && final === "q") return this.reply("\x1bP>|VirtualTerminal\x1b\\");
+    if (prefix === "?" && intermediates === "$" && final === "p") {
+      // DECRQM: every mode is known, set (1) or reset (2)
+      const mode = Number(parameterText);
+      return this.reply(`\x1b[?${mode};${this.modes.has(mode) ? 1 : 2}$y`);
+    }
+    if (!prefix && intermediates === " " && final === "q") {
+      this.cursorStyle = parseInt(parameterText, 10) || 0;
+      return;
+    }
+    // Kitty keyboard protocol, modifyOtherKeys and other sequences that don't change the screen
+    if (prefix || intermediates) return;
+    if (final === "m") return this.selectGraphicRendition(parameterText);
+
+    const parameters = parameterText.split(";").map((parameter) => parseInt(parameter, 10) || 0);
+    const count = Math.max(parameters[0], 1);
+    const inRegion = this.row >= this.scrollTop && this.row <= this.scrollBottom;
+    const top = inRegion ? this.scrollTop : 0;
+    const bottom = inRegion ? this.scrollBottom : this.height - 1;
+
+    switch (final) {
+      case "A":
+        return this.moveTo(this.column, Math.max(this.row - count, top));
+      case "B":
+      case "e":
+        return this.moveTo(this.column, Math.min(this.row + count, bottom));
+      case "C":
+      case "a":
+        return this.moveTo(this.column + count, this.row);
+      case "D":
+        return this.moveTo(this.column - count, this.row);
+      case "E":
+        return this.moveTo(0, Math.min(this.row + count, bottom));
+      case "F":
+        return this.moveTo(0, Math.max(this.row - count, top));
+      case "G":
+      case "`":
+        return this.moveTo(count - 1, this.row);
+      case "H":
+      case "f":
+        return this.moveTo(Math.max(parameters[1] ?? 1, 1) - 1, count - 1);
+      case "d":
+        return this.moveTo(this.column, count - 1);
+
+      case "J":
+        if (parameters[0] === 0) {
+          this.eraseCells(this.row, this.column, this.width);
+          this.eraseLines(this.row + 1, this.height);
+        } else if (parameters[0] === 1) {
+          this.eraseLines(0, this.row);
+          this.eraseCells(this.row, 0, this.column + 1);
+        } else if (parameters[0] === 2) this.eraseLines(0, this.height);
+        return;
+      case "K":
+        if (parameters[0] === 0) this.eraseCells(this.row, this.column, this.width);
+        else if (parameters[0] === 1) this.eraseCells(this.row, 0, this.column + 1);
+        else if (parameters[0] === 2) this.eraseCells(this.row, 0, this.width);
+        return;
+      case "X":
+        return this.eraseCells(this.row, this.column, this.column + count);
+
+      case "S":
+        return this.scrollUp(count);
+      case "T":
+        return this.scrollDown(count);
+      case "L":
+        if (inRegion) {
+          this.scrollDown(count, this.row);
+          this.column = 0;
+        }
+        return;
+      case "M":
+        if (inRegion) {
+          this.scrollUp(count, this.row);
+          this.column = 0;
+        }
+        return;
+      case "@": {
+        const line = this.buffer.lines[this.row];
+        const inserted = Array.from({ length: Math.min(count, this.width - this.column) }, () => this.blankCell());
+        line.splice(this.column, 0, ...inserted);
+        line.length = this.width;
+        return;
+      }
+      case "P": {
+        const line = this.buffer.lines[this.row];
+        const deleted = Math.min(count, this.width - this.column);
+        line.splice(this.column, deleted);
+        line.push(...Array.from({ length: deleted }, () => this.blankCell()));
+        return;
+      }
+
+      case "r": {
+        const regionTop = Math.max(parameters[0], 1) - 1;
+        const regionBottom = Math.min(parameters[1] || this.height, this.height) - 1;
+        if (regionTop < regionBottom) {
+          this.scrollTop = regionTop;
+          this.scrollBottom = regionBottom;
+          this.moveTo(0, 0);
+        }
+        return;
+      }
+      case "s":
+        return this.saveCursor();
+      case "u":
+        return this.restoreCursor();
+
+      case "n":
+        if (parameters[0] === 5) this.reply("\x1b[0n");
+        if (parameters[0] === 6) this.reply(`\x1b[${this.row + 1};${this.column + 1}R`);
+        return;
+      case "c":
+        if (parameters[0] === 0) this.reply("\x1b[?62;22;52c");
+        return;
+      case "t": {
+        const [cellWidth, cellHeight] = this.cellPixels;
+        if (parameters[0] === 14) {
+          this.reply(`\x1b[4;${this.height * cellHeight};${this.width * cellWidth}t`);
+        }
+        if (parameters[0] === 16) this.reply(`\x1b[6;${cellHeight};${cellWidth}t`);
+        if (parameters[0] === 18) this.reply(`\x1b[8;${this.height};${this.width}t`);
+        if (parameters[0] === 22) this.titleStack.push(this.title);
+        if (parameters[0] === 23 && this.titleStack.length) this.title = this.titleStack.pop();
+        return;
+      }
+    }
+  }
+
+  setMode(mode, enabled) {
+    if (mode === 1049 || mode === 1047 || mode === 47) {
+      if (enabled === this.isAlternateScreen) return;
+      if (enabled) {
+        if (mode === 1049) this.saveCursor();
+        this.buffer = this.alternate;
+        this.eraseLines(0, this.height);
+      } else {
+        this.buffer = this.primary;
+        if (mode === 1049) this.restoreCursor();
+      }
+    }
+    if (enabled) this.modes.add(mode);
+    else this.modes.delete(mode);
+  }
+
+  selectGraphicRendition(parameterText) {
+    this.style = applySgr(this.style, parameterText);
+  }
+
+  operatingSystemCommand(text) {
+    const separator = text.indexOf(";");
+    const command = text.slice(0, separator === -1 ? text.length : separator);
+    const argument = separator === -1 ? "" : text.slice(separator + 1);
+    if (command === "0" || command === "2") this.title = argument;
+    if (command === "12" && argument !== "?") this.cursorColor = argument;
+    if (command === "112") this.cursorColor = null;
+    if ((command === "10" || command === "11") && argument === "?") {
+      const color = command === "10" ? this.foreground : this.background;
+      const [red, green, blue] = [1, 3, 5].map((i) => color.slice(i, i + 2).repeat(2));
+      this.reply(`\x1b]${command};rgb:${red}/${green}/${blue}\x1b\\`);
+    }
+    if (command === "52") {
+      // OSC 52 ; targets ; base64 data, or "?" to read the first target
+      const [targets, data] = argument.split(";");
+      const names = [...(targets || "s0")];
+      if (data === "?") {
+        this.reply(`\x1b]52;${names[0]};${encodeBase64(this.selections[names[0]] ?? "")}\x1b\\`);
+      } else {
+        try {
+          const text = new Utf8Decoder().decode(decodeBase64(data ?? ""));
+          for (const name of names) this.selections[name] = text;
+        } catch {
+          // Invalid base64 is ignored, like terminals do
+        }
+      }
+    }
+    if (command === "8") {
+      // OSC 8 ; params ; uri, an empty uri ends the link
+      const uri = argument.slice(argument.indexOf(";") + 1);
+      this.link = uri || null;
+    }
+  }
+
+  /* Sends a reply to a query back on the input, like a real terminal */
+  reply(text) {
+    this.send(text);
+  }
+}